@@ -0,0 +1,113 @@
+import { getBallisticsAtRange } from './physics.js';
+import { calculateFactor, calculateLeadError } from './utils.js';
+import { BANDS } from './config.js';
+
+/**
+ * Build one range band ending at a given range
+ * @param {number} minRange - Band start in km
+ * @param {number} maxRange - Band end in km (factor is evaluated here)
+ * @param {Object} ballistics - Ballistics at maxRange {flightTime, impactAngle}
+ * @returns {Object|null} Band {minRange, maxRange, factor, flightTime, impactAngle}, or null if the factor is invalid
+ */
+function makeBand(minRange, maxRange, ballistics) {
+  const factor = calculateFactor(maxRange, ballistics.flightTime, ballistics.impactAngle);
+  if (factor === null) return null;
+
+  return {
+    minRange,
+    maxRange,
+    factor,
+    flightTime: ballistics.flightTime,
+    impactAngle: ballistics.impactAngle
+  };
+}
+
+/**
+ * Split 0..maxRange into equal-width bands
+ * @param {Object} shellProps - Shell parameters
+ * @param {number} maxRange - Max range in km
+ * @param {number} count - Number of bands
+ * @returns {Array|null} Bands, or null if any factor is invalid
+ */
+function buildFixedBands(shellProps, maxRange, count) {
+  const bands = [];
+
+  for (let i = 0; i < count; i++) {
+    const minRange = maxRange * i / count;
+    const end = i === count - 1 ? maxRange : maxRange * (i + 1) / count;
+    const band = makeBand(minRange, end, getBallisticsAtRange(end, shellProps));
+    if (!band) return null;
+    bands.push(band);
+  }
+
+  return bands;
+}
+
+/**
+ * Place bands greedily from short to long range: each band is extended as far as
+ * its factor (evaluated at the band end) keeps the lead error within tolerance
+ * @param {Object} shellProps - Shell parameters
+ * @param {number} maxRange - Max range in km
+ * @param {Object} options - {maxLeadError, maxBands, sampleStepKm, targetSpeedKts}
+ * @returns {Array|null} Bands, or null if any factor is invalid
+ */
+function buildAdaptiveBands(shellProps, maxRange, options) {
+  // Sample true ballistics across the range (last sample exactly at max range)
+  const samples = [];
+  const steps = Math.max(1, Math.ceil(maxRange / options.sampleStepKm));
+  for (let i = 1; i <= steps; i++) {
+    const range = Math.min(maxRange, i * options.sampleStepKm);
+    samples.push({ range, ballistics: getBallisticsAtRange(range, shellProps) });
+  }
+
+  const worstError = (from, to, factor) => {
+    let worst = 0;
+    for (let j = from; j <= to; j++) {
+      const { meters } = calculateLeadError(samples[j].range, samples[j].ballistics, factor, options.targetSpeedKts);
+      worst = Math.max(worst, Math.abs(meters));
+    }
+    return worst;
+  };
+
+  const bands = [];
+  let start = 0;
+
+  while (start < samples.length) {
+    let end = start;
+
+    if (bands.length === options.maxBands - 1) {
+      // Out of bands: the last one covers the rest
+      end = samples.length - 1;
+    } else {
+      while (end + 1 < samples.length) {
+        const next = samples[end + 1];
+        const factor = calculateFactor(next.range, next.ballistics.flightTime, next.ballistics.impactAngle);
+        if (factor === null || worstError(start, end + 1, factor) > options.maxLeadError) break;
+        end++;
+      }
+    }
+
+    const minRange = bands.length > 0 ? bands[bands.length - 1].maxRange : 0;
+    const band = makeBand(minRange, samples[end].range, samples[end].ballistics);
+    if (!band) return null;
+    bands.push(band);
+    start = end + 1;
+  }
+
+  return bands;
+}
+
+/**
+ * Build FireMode range bands for one shell
+ * @param {Object} shellProps - Shell parameters
+ * @param {number} maxRange - Max range in km
+ * @param {Object} options - Overrides for BANDS {count, adaptive, maxLeadError, maxBands, sampleStepKm, targetSpeedKts}
+ * @returns {Array|null} Bands [{minRange, maxRange, factor, flightTime, impactAngle}] in km, or null if any factor is invalid
+ */
+export function buildRangeBands(shellProps, maxRange, options = {}) {
+  const opts = { ...BANDS, ...options };
+
+  return opts.adaptive
+    ? buildAdaptiveBands(shellProps, maxRange, opts)
+    : buildFixedBands(shellProps, maxRange, opts.count);
+}
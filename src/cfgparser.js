@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+
+// Line patterns of the <Weapon> / <FireMode> format (one tag per line)
+const LEAF_LINE = /^\s*<(\w+)(?: ([^<>]*))?><\/(\w+)>\s*$/;  // <Tag value></Tag>
+const OPEN_LINE = /^\s*<(\w+)(?: ([^<>]*))?>\s*$/;           // <Tag> or <Tag value>
+const CLOSE_LINE = /^\s*<\/(\w+)>\s*$/;                      // </Tag>
+const COMMENT_LINE = /^\s*(?:\/\/.*|<!--.*-->)\s*$/;          // // comment or <!-- comment -->
+const COMMENT_START = /^\s*<!--/;                             // First line of a multi-line <!-- comment
+
+/**
+ * Parse a numeric tag value
+ * @param {string|undefined} value - Raw tag value
+ * @returns {number|null} Parsed number or null if missing/invalid
+ */
+function toNumber(value) {
+  if (value === undefined || value.trim() === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Collect all leaf values below a node, keyed by tag (first occurrence wins)
+ * @param {Object} node - Parsed node
+ * @param {Object} values - Accumulator
+ * @returns {Object} Values keyed by tag
+ */
+function collectValues(node, values = {}) {
+  for (const child of node.children) {
+    if (child.comment !== undefined) continue;
+    if (child.children) {
+      collectValues(child, values);
+    } else if (!(child.tag in values)) {
+      values[child.tag] = child.value ?? '';
+    }
+  }
+  return values;
+}
+
+/**
+ * Build a weapon object from a parsed <Weapon> node
+ * @param {Object} node - Parsed Weapon node
+ * @param {number} endLine - Line of the closing </Weapon>
+ * @returns {Object} {weapon, errors}
+ */
+function toWeapon(node, endLine) {
+  const errors = [];
+  const fireModes = [];
+
+  if (!node.value) {
+    errors.push({ line: node.line, message: 'Weapon without a name' });
+  }
+
+  for (const child of node.children ?? []) {
+    if (child.tag !== 'FireMode') continue;
+
+    if (!child.children) {
+      errors.push({ line: child.line, message: 'FireMode must be a block' });
+      continue;
+    }
+
+    const values = collectValues(child);
+    const fireMode = {
+      line: child.line,
+      minRange: toNumber(values.MinRange),
+      maxRange: toNumber(values.MaxRange),
+      bulletSpeed: toNumber(values.BulletSpeed),
+      pitchToAdd: toNumber(values.PitchToAdd),
+      yawToAdd: toNumber(values.YawToAdd),
+      values
+    };
+
+    for (const [key, tag] of [['minRange', 'MinRange'], ['maxRange', 'MaxRange'], ['bulletSpeed', 'BulletSpeed']]) {
+      if (fireMode[key] === null) {
+        errors.push({ line: child.line, message: `FireMode in ${node.value} has missing or invalid ${tag}` });
+      }
+    }
+
+    fireModes.push(fireMode);
+  }
+
+  if (fireModes.length === 0) {
+    errors.push({ line: node.line, message: `Weapon ${node.value} has no FireMode` });
+  }
+
+  return {
+    weapon: { name: node.value, line: node.line, endLine, fireModes, node },
+    errors
+  };
+}
+
+/**
+ * Parse a weapon config (.cfg) into weapon objects
+ * Malformed weapon blocks are skipped and reported with their line numbers. Whole-line
+ * comments (// ... or <!-- ... -->, which may span lines) are kept as pass-through nodes
+ * inside weapons and skipped between them.
+ * @param {string} text - Config file contents
+ * @returns {Object} {weapons: [{name, line, endLine, fireModes, node}], errors: [{line, message}]}
+ */
+export function parseConfig(text) {
+  const lines = text.split(/\r?\n/);
+  const weapons = [];
+  const errors = [];
+
+  let stack = [];       // Open nodes, stack[0] is the current Weapon
+  let skipping = false; // Discarding a malformed Weapon until the next one starts
+  let comment = null;   // Open multi-line comment {lines, line}
+
+  const fail = (line, message) => {
+    errors.push({ line, message });
+    stack = [];
+    skipping = true;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const line = lines[i];
+
+    // Comments pass through: kept in the open node, dropped between weapons
+    if (comment || COMMENT_LINE.test(line) || (COMMENT_START.test(line) && !line.includes('-->'))) {
+      comment = comment ?? { lines: [], line: lineNo };
+      comment.lines.push(line);
+      if (comment.lines.length === 1 ? COMMENT_LINE.test(line) : line.includes('-->')) {
+        if (stack.length > 0) stack[stack.length - 1].children.push({ comment: comment.lines.join('\n'), line: comment.line });
+        comment = null;
+      }
+      continue;
+    }
+    if (line.trim() === '') continue;
+
+    const open = line.match(OPEN_LINE);
+    const isWeaponStart = open && open[1] === 'Weapon';
+
+    if (skipping && !isWeaponStart) continue;
+    skipping = false;
+
+    const leaf = line.match(LEAF_LINE);
+    const close = line.match(CLOSE_LINE);
+
+    if (stack.length === 0) {
+      if (!isWeaponStart) {
+        fail(lineNo, `Expected <Weapon ...>, found: ${line.trim()}`);
+        continue;
+      }
+      stack.push({ tag: 'Weapon', value: open[2], line: lineNo, children: [] });
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+
+    if (leaf) {
+      if (leaf[1] !== leaf[3]) {
+        fail(lineNo, `Mismatched tags <${leaf[1]}> and </${leaf[3]}>`);
+        continue;
+      }
+      parent.children.push({ tag: leaf[1], value: leaf[2], line: lineNo });
+    } else if (open) {
+      if (isWeaponStart) {
+        fail(lineNo, `<Weapon> opened before </${parent.tag}> (line ${parent.line})`);
+        // Start over with the new Weapon
+        skipping = false;
+        stack.push({ tag: 'Weapon', value: open[2], line: lineNo, children: [] });
+        continue;
+      }
+      const node = { tag: open[1], value: open[2], line: lineNo, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (close) {
+      if (close[1] !== parent.tag) {
+        fail(lineNo, `Expected </${parent.tag}> (opened on line ${parent.line}), found </${close[1]}>`);
+        continue;
+      }
+      stack.pop();
+
+      if (stack.length === 0) {
+        const result = toWeapon(parent, lineNo);
+        if (result.errors.length > 0) {
+          errors.push(...result.errors);
+        } else {
+          weapons.push(result.weapon);
+        }
+      }
+    } else {
+      fail(lineNo, `Unparseable line: ${line.trim()}`);
+    }
+  }
+
+  if (comment) {
+    errors.push({ line: comment.line, message: 'Unclosed <!-- comment at end of file' });
+  }
+  if (stack.length > 0) {
+    errors.push({ line: stack[0].line, message: `Unclosed <${stack[stack.length - 1].tag}> at end of file` });
+  }
+
+  return { weapons, errors };
+}
+
+/**
+ * Serialize a parsed node back to config text (comments verbatim)
+ * @param {Object} node - Parsed node
+ * @param {number} depth - Indentation depth (tabs)
+ * @returns {string} Config text
+ */
+function serializeNode(node, depth) {
+  if (node.comment !== undefined) return node.comment;
+
+  const indent = '\t'.repeat(depth);
+  const openTag = node.value !== undefined ? `<${node.tag} ${node.value}>` : `<${node.tag}>`;
+
+  if (!node.children) {
+    return `${indent}${openTag}</${node.tag}>`;
+  }
+
+  return [
+    `${indent}${openTag}`,
+    ...node.children.map(child => serializeNode(child, depth + 1)),
+    `${indent}</${node.tag}>`
+  ].join('\n');
+}
+
+/**
+ * Serialize weapons back to config text, in the same layout as generateWeaponConfig
+ * @param {Array} weapons - Weapons from parseConfig
+ * @returns {string} Config file contents
+ */
+export function serializeConfig(weapons) {
+  return weapons.map(weapon => serializeNode(weapon.node, 0)).join('\n\n');
+}
+
+/**
+ * Key weapons by name and occurrence ("Name", "Name#2", ...), since one file can
+ * hold several weapons with the same name (e.g. AP and SAP in AP.cfg)
+ * @param {string[]} names - Weapon names in file order
+ * @returns {string[]} Keys in the same order
+ */
+export function weaponKeys(names) {
+  const seen = {};
+  return names.map(name => {
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] === 1 ? name : `${name}#${seen[name]}`;
+  });
+}
+
+/**
+ * Read and parse a weapon config file
+ * @param {string} filePath - Path to a .cfg file
+ * @returns {Promise<Object>} {weapons, errors}
+ */
+export async function parseConfigFile(filePath) {
+  return parseConfig(await fs.readFile(filePath, 'utf-8'));
+}
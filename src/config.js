@@ -7,9 +7,29 @@ export const PHYSICS = {
   M: 0.0289644,         // molar mass of air (kg/mol)
   R: 8.31447,           // gas constant (J/(mol*K))
   timeMultiplier: 2.75, // WoWS game time scaling factor
+  integrator: 'dopri5', // 'dopri5' (adaptive, exact impact point) or 'rk4' (fixed step)
+  tolerance: 1e-8,      // dopri5: relative error tolerance per step
+  dt: 0.02,             // rk4: time step (s)
 };
 PHYSICS.gMRL = (PHYSICS.g * PHYSICS.M) / (PHYSICS.R * PHYSICS.L);
 
+// AP penetration formula (standard WoWS fit, as used by jcw780/wows_shell)
+export const PENETRATION = {
+  coefficient: 0.00046905491615181766,
+  kruppReference: 2400,          // Krupp value the coefficient is fitted for
+  massExponent: 0.5506,
+  caliberExponent: -0.6521,      // caliber in m
+  velocityExponent: 1.4822064892953855,
+};
+
+// Main battery dispersion model
+export const DISPERSION = {
+  // Typical vertical coefficients, used where the scraped data has none
+  defaultVertical: { radiusOnZero: 0.2, radiusOnDelim: 0.5, radiusOnMax: 0.6, delim: 0.5 },
+  // Reference target for hit probability: broadside battleship (m across / along the line of fire)
+  targetBox: { across: 250, along: 35 },
+};
+
 // Range modifiers
 export const MODIFIERS = {
   aftMultiplier: 1.2,       // AFT skill bonus for destroyers (+20%)
@@ -21,6 +41,119 @@ export const MODIFIERS = {
   },
 };
 
+// Range modifiers as data, selected by loadout profiles (see PROFILES).
+// A modifier applies if the ship matches every condition given: classes, nations, spotter
+// (ship has a spotter plane) and ships (per-ship multipliers instead of a fixed one).
+// battery is 'main' (default), 'secondary' or 'torpedo'. Torpedo modifiers can also change
+// speed: speedKts is added to the torpedo speed first, then speedMultiplier is applied.
+// Stacking: modifiers in the same group share a slot and don't stack (the largest one applies);
+// modifiers in different groups multiply, in the order they are listed here.
+export const RANGE_MODIFIERS = {
+  aprm1: {
+    label: 'Artillery Plotting Room Mod 1',
+    type: 'upgrade',
+    group: 'range-upgrade',
+    multiplier: MODIFIERS.aprm1Multiplier,
+    classes: ['BB'],
+    nations: ['U.S.A.'],
+  },
+  gfcs2: {
+    label: 'Gun Fire Control System Mod 2',
+    type: 'upgrade',
+    group: 'range-upgrade',
+    multiplier: 1.16,
+    classes: ['BB', 'CA', 'CB', 'CL'],
+  },
+  aft: {
+    label: 'Advanced Firing Training',
+    type: 'skill',
+    group: 'range-skill',
+    multiplier: MODIFIERS.aftMultiplier,
+    classes: ['DD'],
+  },
+  spotter: {
+    label: 'Spotting Aircraft',
+    type: 'consumable',
+    group: 'range-consumable',
+    multiplier: MODIFIERS.spotterMultiplier,
+    classes: ['BB', 'CA', 'CB', 'CL'],
+    spotter: true,
+  },
+  unique: {
+    label: 'Unique upgrade',
+    type: 'upgrade',
+    group: 'unique-upgrade',
+    ships: MODIFIERS.uniqueUpgrades,
+  },
+  secondaryMod2: {
+    label: 'Secondary Battery Modification 2',
+    type: 'upgrade',
+    group: 'secondary-upgrade',
+    battery: 'secondary',
+    multiplier: 1.2,
+  },
+  longRangeSecondaries: {
+    label: 'Long-Range Secondary Battery Shells',
+    type: 'skill',
+    group: 'secondary-skill',
+    battery: 'secondary',
+    multiplier: 1.2,
+    classes: ['BB', 'CB'],
+  },
+  torpedoAcceleration: {
+    label: 'Torpedo Acceleration',
+    type: 'skill',
+    group: 'torpedo-skill',
+    battery: 'torpedo',
+    multiplier: 0.8,        // -20% torpedo range
+    speedKts: 5,            // +5 kts torpedo speed
+  },
+  torpedoSpeedUpgrade: {
+    label: 'Torpedo Tubes Modification 2',
+    type: 'upgrade',
+    group: 'torpedo-upgrade',
+    battery: 'torpedo',
+    multiplier: 1,
+    speedMultiplier: 1.05,  // +5% torpedo speed
+  },
+};
+
+// Loadout profiles: range modifiers to apply and the suffix added to weapon names
+export const PROFILES = {
+  default: {
+    label: 'Standard build, spotter active (the classic output)',
+    modifiers: ['aprm1', 'aft', 'spotter', 'unique'],
+    suffix: '',
+  },
+  'no-spotter': {
+    label: 'Standard build, spotter not active',
+    modifiers: ['aprm1', 'aft', 'unique'],
+    suffix: '_NoSpotter',
+  },
+  range: {
+    label: 'Range build: GFCS Mod 2 (or APRM1), AFT, spotter and unique upgrade',
+    modifiers: ['aprm1', 'gfcs2', 'aft', 'spotter', 'unique'],
+    suffix: '_Range',
+  },
+  torpedo: {
+    label: 'Standard build plus Torpedo Acceleration and torpedo speed upgrade',
+    modifiers: ['aprm1', 'aft', 'spotter', 'unique', 'torpedoAcceleration', 'torpedoSpeedUpgrade'],
+    suffix: '_TA',
+  },
+  brawler: {
+    label: 'Brawler: no main battery range modifiers, secondary range build',
+    modifiers: ['secondaryMod2', 'longRangeSecondaries'],
+    suffix: '_Brawler',
+  },
+};
+
+// Secondary battery weapons (written to their own config file)
+export const SECONDARIES = {
+  file: 'Secondary.cfg',
+  nameFormat: '{weapon}_Sec{caliber}',  // {weapon} = main battery weapon name, {caliber} in mm
+  pitchClass: 'DD',                     // Small, flat-firing guns: use the DD pitch values
+};
+
 // Pitch values for config generation (matching old scraper)
 export const PITCH = {
   ap: {
@@ -41,6 +174,36 @@ export const PITCH = {
   }
 };
 
+// FireMode range bands (one BulletSpeed factor and pitch per band)
+export const BANDS = {
+  count: 2,              // Number of equal-width bands (fixed placement)
+  adaptive: false,       // Place bands so each stays under maxLeadError instead
+  maxLeadError: 5,       // Lead error tolerance per band (m, at targetSpeedKts)
+  maxBands: 8,           // Upper limit for adaptive placement
+  sampleStepKm: 0.5,     // Range step used to evaluate lead error
+  targetSpeedKts: 30,    // Reference target speed for lead error in metres
+};
+
+// Ballistics engine
+// 'table' interpolates from one launch angle sweep per shell. Against 'bisect' (the
+// original per-range search) it stays within 0.01 s flight time, 0.05° impact angle
+// and 2 m/s impact velocity inside the shell's reach, which moves BulletSpeed factors
+// by at most ~0.1%. Beyond its reach both return the 45° shot.
+export const ENGINE = {
+  mode: 'table',         // 'table' or 'bisect'
+  angleStepDeg: 0.25,    // Launch angle step of the sweep (degrees)
+  workers: 0,            // Worker threads for Phase 2 (0 = one per CPU, 1 = no workers)
+  minShipsPerWorker: 20, // Fewer ships than this per thread are calculated inline
+};
+
+// Lead-error quality report
+export const QUALITY = {
+  stepKm: 0.25,          // Range step for the sweep (km)
+  rangeToleranceM: 1,    // Sweep: a shot within this of the sampled range counts as a hit (m)
+  maxShots: 20,          // Sweep: most simulations per sampled range
+  reportFile: '_quality', // Written as .json and .txt in the output directory
+};
+
 // Ship name mappings for config output
 export const SHIP_NAME_MAPPINGS = {
   // Suffix transformations: { suffix, prefix, trim }
@@ -71,7 +234,7 @@ export const SHIP_NAME_MAPPINGS = {
 
 // Scraping URLs
 export const URLS = {
-  base: 'https://shiptool.st',
+  base: process.env.SHIPTOOL_URL || 'https://shiptool.st',  // SHIPTOOL_URL points the scraper at a mirror or test server
   params: '/params',           // Ship names, classes, max ranges
   consumables: '/params?p=con', // Spotter plane availability
   shells: {
@@ -79,7 +242,36 @@ export const URLS = {
     he: '/params?p=he',        // HE shell data
     sap: '/params?p=sap',      // SAP shell data
   },
+  secondaries: '/params?p=sec', // Secondary battery guns and shells (assumed path, unverified)
+  torpedoes: '/params?p=tor',   // Torpedo launchers: torpedo speed and range (assumed path, unverified)
   sonar: '/params?g=TPt&ty=S&n=All&tn=6&p=son',  // Submarine sonar data
+  ballistics: '/ballistics',  // Reference flight time / impact angle by range (assumed path, unverified)
+};
+
+// Scraper session: one browser, one page per table
+export const SCRAPER = {
+  concurrency: 4,         // Tables scraped at once (open pages)
+  pageLoadTimeout: 60000, // Page navigation timeout (ms)
+  tableTimeout: 10000,    // Wait for a table to appear (ms)
+  changeTimeout: 10000,   // Wait this long for a click to change the table before reading it anyway (ms)
+  settleQuietMs: 500,     // Table settled when its row/column counts stay the same this long after a change (ms)
+  settleTimeout: 15000,   // Give up waiting for the table to settle after this long (ms)
+  pollMs: 100,            // Poll interval while waiting for the table to settle (ms)
+  retries: 2,             // Extra attempts per table after a failed load
+  retryDelayMs: 2000,     // Delay before the first retry, doubled for each further one (ms)
+  reportFile: '_scrape',  // Scrape report, written as .json in the output directory
+};
+
+// Local GameParams dump as an alternative data source (--source gameparams)
+export const GAMEPARAMS = {
+  path: 'data/GameParams.json',      // Extracted GameParams (JSON)
+  namesPath: 'data/ship_names.json', // Display names {"IDS_PJSB018": "Yamato"}, used if present
+  skipGroups: ['disabled', 'unavailable', 'demoWithoutStats', 'event', 'clan', 'preserved'], // Test, event and removed ships
+  crossCheckFile: '_crosscheck',     // Cross-check against a snapshot, written as .json in the output directory
+  tolerance: {                       // Differences below these are not reported
+    rangeKm: 0.05,                   // Tables show ranges to 0.1 km
+    shellPct: 0.5,                   // Shell properties (%)
+  },
 };
 
 // Ship classes to skip (SS now handled separately for sonar)
@@ -91,3 +283,76 @@ export const SONAR = {
   pitch: 0                // No pitch adjustment for sonar pings
 };
 
+// Torpedo constants: straight-running weapons at constant speed, like sonar pings
+// UNCALIBRATED: speedDivisor assumes a torpedo covers 2.6 m per second and knot of its
+// listed speed, with BulletSpeed that speed / 32 (as for shells), so 32 / 2.6 = 12.31.
+// The 2.6 figure has not been measured in game; check torpedo leads in a training room
+// and adjust speedDivisor before relying on Torpedo.cfg.
+export const TORPEDOES = {
+  speedDivisor: 12.31,    // BulletSpeed = speed (kts) / 12.31 (uncalibrated, see above)
+  pitch: 0,               // Torpedoes run on the surface, no pitch adjustment
+  file: 'Torpedo.cfg',
+  nameFormat: '{weapon}_Torp{variant}',  // {variant} = _<torpedo name> for ships with several torpedoes
+};
+
+// Output location for generated configs and _summary.json
+export const OUTPUT = {
+  dir: 'configs',
+  writers: ['xml'],              // Output writers for Phase 3 (xml, csv, json, ini)
+  csvFile: '_ranges.csv',        // csv writer: range table
+  csvStepKm: 1,                  // csv writer: range step (km)
+  jsonFile: 'weapons.json',      // json writer: flat weapon list
+  iniFile: 'overlay.ini',        // ini writer: key = value overlay config
+};
+
+// Run-to-run comparison: changes at or below these thresholds are ignored
+export const DIFF = {
+  thresholds: {
+    rangeKm: 0.01,        // modifiedRange (km)
+    factor: 0.01,         // BulletSpeed factor
+    flightTime: 0.01,     // Flight time (s)
+    pitch: 0.0001,        // PitchToAdd
+    configRange: 1,       // FireMode MinRange/MaxRange (config units)
+  },
+  reportFile: '_diff',    // Written as .md and .json in the output directory
+};
+
+// Physics validation against shiptool.st reference ballistics
+export const VALIDATION = {
+  referencePath: 'data/reference.json',  // Saved reference values
+  maxErrorPct: 1,                        // Flag errors above this (%)
+  minAbsError: {                         // ...unless the absolute error is below this
+    flightTime: 0.02,                    // s (reference values are rounded)
+    impactAngle: 0.05,                   // degrees
+  },
+  reportFile: '_validation',             // Written as .json in the output directory
+};
+
+// Merging generated weapons into hand-maintained configs
+export const MERGE = {
+  manifestFile: '_generated.json', // Weapon names the generator wrote, per config file
+  pinned: [],                      // Weapon names maintained by hand, never regenerated
+};
+
+// User overrides layered over scraped ship data (JSON or YAML)
+export const OVERRIDES = {
+  path: 'overrides.json',  // Used if present; --overrides makes it required
+};
+
+// Self-contained HTML report (html command)
+export const HTML = {
+  samples: 40,           // Range samples per chart curve
+  reportFile: '_report', // Written as .html in the output directory
+};
+
+// Local HTTP API (serve command)
+export const SERVER = {
+  host: '127.0.0.1',     // Local connections only
+  port: 8080,
+};
+
+// Raw data snapshot (lets Phase 2/3 run offline without a browser)
+export const SNAPSHOT = {
+  version: 1,                   // Bump when the snapshot layout changes
+  path: 'data/snapshot.json',   // Default snapshot location
+};
@@ -0,0 +1,281 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseConfigFile, weaponKeys } from './cfgparser.js';
+import { SUMMARY_FILE } from './pipeline.js';
+import { DIFF, SECONDARIES, TORPEDOES } from './config.js';
+import { log } from './logger.js';
+
+const CONFIG_FILES = ['HE.cfg', 'AP.cfg', SECONDARIES.file, TORPEDOES.file];
+
+// Summary fields compared per shell: [field, threshold key]
+const SHELL_FIELDS = [
+  ['halfFactor', 'factor'],
+  ['maxFactor', 'factor'],
+  ['halfFlightTime', 'flightTime'],
+  ['maxFlightTime', 'flightTime'],
+];
+
+// FireMode fields compared per weapon: [field, threshold key]
+const FIRE_MODE_FIELDS = [
+  ['minRange', 'configRange'],
+  ['maxRange', 'configRange'],
+  ['bulletSpeed', 'factor'],
+  ['pitchToAdd', 'pitch'],
+];
+
+/**
+ * Load one side of a comparison: a _summary.json file, or an output directory
+ * with _summary.json and/or HE.cfg / AP.cfg
+ * @param {string} target - File or directory path
+ * @returns {Promise<Object>} {summary (or null), configs: {fileName: weapons}}
+ */
+export async function loadRun(target) {
+  const stat = await fs.stat(target);
+
+  if (!stat.isDirectory()) {
+    return { summary: JSON.parse(await fs.readFile(target, 'utf-8')), configs: {} };
+  }
+
+  let summary = null;
+  try {
+    summary = JSON.parse(await fs.readFile(path.join(target, SUMMARY_FILE), 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const configs = {};
+  for (const file of CONFIG_FILES) {
+    try {
+      const { weapons, errors } = await parseConfigFile(path.join(target, file));
+      errors.forEach(e => log.warn(`  ${path.join(target, file)} line ${e.line}: ${e.message}`));
+      configs[file] = weapons;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  return { summary, configs };
+}
+
+/**
+ * Record a numeric change if it exceeds its threshold
+ * @param {Array} changes - Accumulator
+ * @param {Object} where - Identifying fields (ship, shellType, weapon, ...)
+ * @param {string} field - Field name
+ * @param {number} before - Old value
+ * @param {number} after - New value
+ * @param {number} threshold - Minimum absolute change to report
+ */
+function pushChange(changes, where, field, before, after, threshold) {
+  if (typeof before !== 'number' || typeof after !== 'number') return;
+
+  const delta = after - before;
+  if (Math.abs(delta) > threshold) {
+    changes.push({ ...where, field, before, after, delta });
+  }
+}
+
+/**
+ * Compare two ballistics summaries
+ * @param {Object} before - Old summary {ships}
+ * @param {Object} after - New summary {ships}
+ * @param {Object} thresholds - Change thresholds (see DIFF.thresholds)
+ * @returns {Object} {shipsAdded, shipsRemoved, shells: [{ship, gained, lost}], changes}
+ */
+export function diffSummaries(before, after, thresholds = DIFF.thresholds) {
+  const oldShips = before.ships ?? {};
+  const newShips = after.ships ?? {};
+
+  const result = {
+    shipsAdded: Object.keys(newShips).filter(name => !(name in oldShips)),
+    shipsRemoved: Object.keys(oldShips).filter(name => !(name in newShips)),
+    shells: [],
+    changes: []
+  };
+
+  for (const [ship, oldShip] of Object.entries(oldShips)) {
+    const newShip = newShips[ship];
+    if (!newShip) continue;
+
+    const oldShells = Object.keys(oldShip.shells);
+    const newShells = Object.keys(newShip.shells);
+    const gained = newShells.filter(s => !oldShells.includes(s));
+    const lost = oldShells.filter(s => !newShells.includes(s));
+    if (gained.length > 0 || lost.length > 0) {
+      result.shells.push({ ship, gained, lost });
+    }
+
+    pushChange(result.changes, { ship }, 'modifiedRange', oldShip.modifiedRange, newShip.modifiedRange, thresholds.rangeKm);
+
+    for (const shellType of oldShells.filter(s => newShells.includes(s))) {
+      for (const [field, key] of SHELL_FIELDS) {
+        pushChange(
+          result.changes,
+          { ship, shellType },
+          field,
+          oldShip.shells[shellType][field],
+          newShip.shells[shellType][field],
+          thresholds[key]
+        );
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare two parsed config files
+ * @param {Array} before - Old weapons
+ * @param {Array} after - New weapons
+ * @param {Object} thresholds - Change thresholds (see DIFF.thresholds)
+ * @returns {Object} {weaponsAdded, weaponsRemoved, changes}
+ */
+export function diffConfigs(before, after, thresholds = DIFF.thresholds) {
+  const byKey = weapons => new Map(weaponKeys(weapons.map(w => w.name)).map((key, i) => [key, weapons[i]]));
+  const oldWeapons = byKey(before);
+  const newWeapons = byKey(after);
+
+  const result = {
+    weaponsAdded: [...newWeapons.keys()].filter(key => !oldWeapons.has(key)),
+    weaponsRemoved: [...oldWeapons.keys()].filter(key => !newWeapons.has(key)),
+    changes: []
+  };
+
+  for (const [weapon, oldWeapon] of oldWeapons) {
+    const newWeapon = newWeapons.get(weapon);
+    if (!newWeapon) continue;
+
+    pushChange(result.changes, { weapon }, 'fireModes', oldWeapon.fireModes.length, newWeapon.fireModes.length, 0);
+
+    const count = Math.min(oldWeapon.fireModes.length, newWeapon.fireModes.length);
+    for (let i = 0; i < count; i++) {
+      for (const [field, key] of FIRE_MODE_FIELDS) {
+        pushChange(
+          result.changes,
+          { weapon, fireMode: i + 1 },
+          field,
+          oldWeapon.fireModes[i][field],
+          newWeapon.fireModes[i][field],
+          thresholds[key]
+        );
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare two runs
+ * @param {Object} before - Old run from loadRun
+ * @param {Object} after - New run from loadRun
+ * @param {Object} thresholds - Change thresholds (see DIFF.thresholds)
+ * @returns {Object} {summary (or null), configs: {fileName: configDiff}}
+ */
+export function diffRuns(before, after, thresholds = DIFF.thresholds) {
+  const result = {
+    summary: before.summary && after.summary ? diffSummaries(before.summary, after.summary, thresholds) : null,
+    configs: {}
+  };
+
+  for (const file of CONFIG_FILES) {
+    if (before.configs[file] && after.configs[file]) {
+      result.configs[file] = diffConfigs(before.configs[file], after.configs[file], thresholds);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format a number for the report
+ * @param {number} value - Value
+ * @returns {string} Value with up to 4 decimals
+ */
+function fmt(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Format a change list as a Markdown table
+ * @param {Array} changes - Changes from diffSummaries / diffConfigs
+ * @param {string[]} columns - Identifying columns to show first
+ * @returns {string[]} Markdown lines
+ */
+function changeTable(changes, columns) {
+  if (changes.length === 0) return ['No changes above threshold.', ''];
+
+  const header = [...columns, 'field', 'before', 'after', 'change'];
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`
+  ];
+  for (const c of changes) {
+    const sign = c.delta > 0 ? '+' : '';
+    lines.push(`| ${columns.map(col => c[col] ?? '').join(' | ')} | ${c.field} | ${fmt(c.before)} | ${fmt(c.after)} | ${sign}${fmt(c.delta)} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Format a run diff as Markdown (for patch notes and review)
+ * @param {Object} diff - Diff from diffRuns
+ * @param {Object} labels - {before, after} names of the compared runs
+ * @returns {string} Markdown report
+ */
+export function formatDiffMarkdown(diff, labels) {
+  const lines = [`# Ballistics changes: ${labels.before} → ${labels.after}`, ''];
+  const list = (title, items) => {
+    if (items.length > 0) lines.push(`**${title}:** ${items.join(', ')}`, '');
+  };
+
+  if (diff.summary) {
+    const s = diff.summary;
+    lines.push('## Ships', '');
+    list('Added', s.shipsAdded);
+    list('Removed', s.shipsRemoved);
+    for (const { ship, gained, lost } of s.shells) {
+      const parts = [
+        ...gained.map(t => `+${t.toUpperCase()}`),
+        ...lost.map(t => `-${t.toUpperCase()}`)
+      ];
+      lines.push(`- ${ship}: ${parts.join(', ')}`);
+    }
+    if (s.shells.length > 0) lines.push('');
+    lines.push(...changeTable(s.changes, ['ship', 'shellType']));
+  }
+
+  for (const [file, c] of Object.entries(diff.configs)) {
+    lines.push(`## ${file}`, '');
+    list('Added', c.weaponsAdded);
+    list('Removed', c.weaponsRemoved);
+    lines.push(...changeTable(c.changes, ['weapon', 'fireMode']));
+  }
+
+  if (!diff.summary && Object.keys(diff.configs).length === 0) {
+    lines.push('Nothing to compare (no _summary.json or config files on both sides).', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a run diff as Markdown and JSON
+ * @param {Object} diff - Diff from diffRuns
+ * @param {string} markdown - Markdown from formatDiffMarkdown
+ * @param {string} outDir - Output directory
+ */
+export async function writeDiffReport(diff, markdown, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const mdPath = path.join(outDir, `${DIFF.reportFile}.md`);
+  const jsonPath = path.join(outDir, `${DIFF.reportFile}.json`);
+
+  await fs.writeFile(mdPath, markdown, 'utf-8');
+  log.info(`  Written: ${mdPath}`);
+
+  await fs.writeFile(jsonPath, JSON.stringify(diff, null, 2), 'utf-8');
+  log.info(`  Written: ${jsonPath}`);
+}
@@ -0,0 +1,82 @@
+import { DISPERSION } from './config.js';
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, max error 1.5e-7)
+ * @param {number} x - Argument
+ * @returns {number} erf(x)
+ */
+function erf(x) {
+  const sign = Math.sign(x);
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+/**
+ * Vertical-to-horizontal dispersion ratio at a range
+ * Linear from radiusOnZero at 0 to radiusOnDelim at delim × max range, then to radiusOnMax.
+ * @param {Object} params - Dispersion parameters (missing coefficients use DISPERSION.defaultVertical)
+ * @param {number} rangeKm - Range in km
+ * @param {number} maxRange - Ship's (modified) max range in km
+ * @returns {number} Vertical ratio
+ */
+export function verticalRatio(params, rangeKm, maxRange) {
+  const { radiusOnZero, radiusOnDelim, radiusOnMax, delim } = { ...DISPERSION.defaultVertical, ...params };
+  const delimRange = delim * maxRange;
+
+  if (rangeKm <= delimRange) {
+    return radiusOnZero + (radiusOnDelim - radiusOnZero) * rangeKm / delimRange;
+  }
+  const t = Math.min(1, (rangeKm - delimRange) / (maxRange - delimRange));
+  return radiusOnDelim + (radiusOnMax - radiusOnDelim) * t;
+}
+
+/**
+ * Dispersion ellipse at a range
+ * Horizontal dispersion grows linearly with range through the scraped value at base max range;
+ * vertical dispersion (along the line of fire, on the water) is horizontal × verticalRatio.
+ * @param {Object} params - Dispersion parameters {maxHorizontal (m at base max range), sigma, radiusOnZero, radiusOnDelim, radiusOnMax, delim}
+ * @param {number} rangeKm - Range in km
+ * @param {number} baseMaxRange - Base max range in km (where maxHorizontal applies)
+ * @param {number} maxRange - Modified max range in km
+ * @returns {Object} {range, horizontal, vertical, verticalRatio, sigma} (ellipse semi-axes in m)
+ */
+export function getDispersionAtRange(params, rangeKm, baseMaxRange, maxRange) {
+  const horizontal = params.maxHorizontal * rangeKm / baseMaxRange;
+  const ratio = verticalRatio(params, rangeKm, maxRange);
+
+  return {
+    range: rangeKm,
+    horizontal,
+    vertical: horizontal * ratio,
+    verticalRatio: ratio,
+    sigma: params.sigma
+  };
+}
+
+/**
+ * Fraction of shells landing within ±halfSize on one ellipse axis
+ * Shells follow a normal distribution truncated at the ellipse edge, which is sigma
+ * standard deviations from the centre.
+ * @param {number} halfSize - Half the target size along the axis (m)
+ * @param {number} semiAxis - Ellipse semi-axis (m)
+ * @param {number} sigma - Sigma value
+ * @returns {number} Probability 0-1
+ */
+function axisProbability(halfSize, semiAxis, sigma) {
+  if (semiAxis <= 0 || halfSize >= semiAxis) return 1;
+  return erf((sigma * halfSize / semiAxis) / Math.SQRT2) / erf(sigma / Math.SQRT2);
+}
+
+/**
+ * Probability that a shell aimed at the centre of a target box hits it
+ * The two ellipse axes are treated as independent.
+ * @param {Object} ellipse - Ellipse from getDispersionAtRange
+ * @param {Object} targetBox - {across, along} target size in m (default DISPERSION.targetBox)
+ * @returns {number} Hit probability 0-1
+ */
+export function hitProbability(ellipse, targetBox = DISPERSION.targetBox) {
+  return axisProbability(targetBox.across / 2, ellipse.horizontal, ellipse.sigma) *
+    axisProbability(targetBox.along / 2, ellipse.vertical, ellipse.sigma);
+}
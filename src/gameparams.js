@@ -0,0 +1,364 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { moduleId, pickTopModule, applyModule } from './modules.js';
+import { normalizeForMatching } from './utils.js';
+import { GAMEPARAMS, SKIP_CLASSES, SONAR } from './config.js';
+import { log } from './logger.js';
+
+// GameParams ship species -> class as shiptool.st writes it (GameParams has no CL/CB split)
+const SPECIES_CLASSES = {
+  Battleship: 'BB',
+  Cruiser: 'CA',
+  Destroyer: 'DD',
+  Submarine: 'SS',
+  AirCarrier: 'CV',
+};
+
+// GameParams nations that shiptool.st writes differently (others only have "_" replaced)
+const NATIONS = {
+  USA: 'U.S.A.',
+  USSR: 'U.S.S.R.',
+  United_Kingdom: 'U.K.',
+  Pan_Asia: 'Pan-Asia',
+  Pan_America: 'Pan-America',
+};
+
+// Projectile ammoType -> shell type (CS: common shell, i.e. SAP)
+const AMMO_TYPES = { AP: 'ap', HE: 'he', CS: 'sap' };
+
+// AP projectile fields -> shell fields (as read from the shiptool.st AP table)
+const AP_FIELDS = {
+  krupp: 'bulletKrupp',
+  normalization: 'bulletCapNormalizeMaxAngle',
+  ricochetStart: 'bulletRicochetAt',
+  ricochetAlways: 'bulletAlwaysRicochetAt',
+  fuseThreshold: 'bulletDetonatorThreshold',
+};
+
+// Classes GameParams can't tell apart (all cruisers are read as CA)
+const CRUISER_CLASSES = ['CA', 'CL', 'CB'];
+
+/**
+ * Key the GameParams entities by name
+ * Dumps are either an object keyed by entity name, a one-element list holding that object
+ * (as unpickled from the game files) or a list of entities with a "name".
+ * @param {Object|Array} raw - Parsed GameParams JSON
+ * @returns {Object} Entities keyed by name
+ */
+function entityMap(raw) {
+  if (!Array.isArray(raw)) return raw;
+  if (raw.length === 1 && !raw[0].typeinfo) return raw[0];
+  return Object.fromEntries(raw.map(entity => [entity.name, entity]));
+}
+
+/**
+ * Ship components of one kind, e.g. all "A_Artillery", "B_Artillery" for "Artillery"
+ * @param {Object} entity - Ship entity
+ * @param {string} kind - Component kind (key suffix)
+ * @returns {Array} [[key, component]]
+ */
+function components(entity, kind) {
+  return Object.entries(entity).filter(([key, value]) => key.endsWith(`_${kind}`) && value && typeof value === 'object');
+}
+
+/**
+ * Display name of a ship
+ * @param {string} key - Entity name, e.g. "PJSB018_Yamato_1944"
+ * @param {Object} entity - Ship entity
+ * @param {Object} names - Display names by "IDS_<index>" or index
+ * @returns {string} e.g. "Yamato", or "Yamato 1944" without a names entry
+ */
+function shipName(key, entity, names) {
+  return names[`IDS_${entity.index}`] ?? names[entity.index] ?? key.replace(/^[A-Z0-9]+_/, '').replace(/_/g, ' ');
+}
+
+/**
+ * Read shell properties from a projectile entity
+ * @param {Object} projectile - Projectile entity
+ * @returns {Object} {muzzleVelocity, mass, dragCoefficient, caliber}, plus the penetration fields for AP
+ */
+function readShellProps(projectile) {
+  const shellProps = {
+    muzzleVelocity: projectile.bulletSpeed,
+    mass: projectile.bulletMass,
+    dragCoefficient: projectile.bulletAirDrag,
+    caliber: Math.round(projectile.bulletDiametr * 1000) // m -> mm
+  };
+
+  if (projectile.ammoType === 'AP') {
+    for (const [field, key] of Object.entries(AP_FIELDS)) {
+      if (projectile[key] !== undefined) shellProps[field] = projectile[key];
+    }
+  }
+  return shellProps;
+}
+
+/**
+ * Read the shells fired by an artillery component (first projectile of each type)
+ * @param {Object} artillery - Artillery component; its mounts list their projectiles in ammoList
+ * @param {Object} params - Entities keyed by name
+ * @returns {Object} Shell type -> shell properties
+ */
+function readShells(artillery, params) {
+  const shells = {};
+
+  for (const mount of Object.values(artillery)) {
+    for (const ammo of mount?.ammoList ?? []) {
+      const projectile = params[ammo];
+      const shellType = AMMO_TYPES[projectile?.ammoType];
+      if (shellType && !shells[shellType]) shells[shellType] = readShellProps(projectile);
+    }
+  }
+  return shells;
+}
+
+/**
+ * Check whether a ship can take a spotter aircraft
+ * @param {Object} entity - Ship entity
+ * @returns {boolean} True if a consumable slot offers a spotter plane
+ */
+function hasSpotterPlane(entity) {
+  return Object.values(entity.ShipAbilities ?? {})
+    .some(slot => (slot.abils ?? []).some(abil => /SpotterPlane/i.test([].concat(abil)[0])));
+}
+
+/**
+ * Read the main battery of a ship: one module per artillery component
+ * Ranges use the best fire control system.
+ * @param {Object} entity - Ship entity
+ * @param {Object} params - Entities keyed by name
+ * @returns {Array} [{id, gun, baseMaxRange, shells}] (only artillery with shells)
+ */
+function readModules(entity, params) {
+  const rangeCoef = Math.max(1, ...components(entity, 'FireControl').map(([, fcs]) => fcs.maxDistCoef ?? 1));
+  const artillery = components(entity, 'Artillery');
+
+  return artillery
+    .map(([key, component]) => {
+      // A single gun module gets the same "default" id the scraper gives tables without module columns
+      const parts = artillery.length > 1 ? { gun: key } : {};
+      return {
+        id: moduleId(parts),
+        ...parts,
+        baseMaxRange: Math.round(component.maxDist * rangeCoef / 10) / 100, // m -> km
+        shells: readShells(component, params)
+      };
+    })
+    .filter(module => module.baseMaxRange > 0 && Object.keys(module.shells).length > 0);
+}
+
+/**
+ * Read submarine sonar from the pinger component
+ * @param {Object} entity - Submarine entity
+ * @returns {Object|null} {range, waveSpeed}, or null without a pinger
+ */
+function readPinger(entity) {
+  const [, pinger] = components(entity, 'Pinger')[0] ?? [];
+  const waveSpeed = [].concat(pinger?.waveParams?.[0]?.waveSpeed ?? [])[0];
+  if (!(waveSpeed > 0)) return null;
+
+  return { range: pinger.waveDistance / 1000, waveSpeed }; // m -> km
+}
+
+/**
+ * Build ship and sonar data from GameParams entities
+ * Produces the same structure as scrapeShipData and scrapeSonarData. Secondaries and torpedoes
+ * are only read by the scraper.
+ * @param {Object|Array} raw - Parsed GameParams JSON (see entityMap)
+ * @param {Object} [names] - Display names by "IDS_<index>" or index
+ * @returns {Object} {shipData, sonarData}
+ */
+export function readGameParams(raw, names = {}) {
+  const params = entityMap(raw);
+  const shipData = {};
+  const sonarData = {};
+
+  for (const [key, entity] of Object.entries(params)) {
+    if (entity?.typeinfo?.type !== 'Ship' || GAMEPARAMS.skipGroups.includes(entity.group)) continue;
+
+    const shipClass = SPECIES_CLASSES[entity.typeinfo.species];
+    if (!shipClass || SKIP_CLASSES.includes(shipClass)) continue;
+
+    const name = shipName(key, entity, names);
+    const nation = NATIONS[entity.typeinfo.nation] ?? entity.typeinfo.nation.replace(/_/g, ' ');
+    if (shipData[name] || sonarData[name]) log.warn(`  [GAMEPARAMS] ${key}: "${name}" already read, using the later entry`);
+
+    if (shipClass === 'SS') {
+      const pinger = readPinger(entity);
+      if (pinger) {
+        sonarData[name] = {
+          class: shipClass,
+          nation,
+          ...pinger,
+          bulletSpeed: pinger.waveSpeed / SONAR.velocityDivisor
+        };
+      }
+      continue;
+    }
+
+    const modules = readModules(entity, params);
+    if (modules.length === 0) continue;
+
+    const entry = {
+      class: shipClass,
+      nation,
+      tier: entity.level,
+      baseMaxRange: 0,
+      hasSpotter: hasSpotterPlane(entity),
+      shells: {}
+    };
+    applyModule(entry, pickTopModule(modules));
+    if (modules.length > 1) entry.modules = modules;
+    shipData[name] = entry;
+  }
+
+  return { shipData, sonarData };
+}
+
+/**
+ * Read ship and sonar data from a GameParams file
+ * @param {string} filePath - GameParams JSON file
+ * @param {string} [namesPath] - Display names JSON file (skipped if missing)
+ * @returns {Promise<Object>} {shipData, sonarData}
+ */
+export async function loadGameParams(filePath, namesPath = GAMEPARAMS.namesPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`GameParams not found: ${filePath} (extract it from the game files first)`);
+    }
+    throw err;
+  }
+
+  let names = {};
+  try {
+    names = JSON.parse(await fs.readFile(namesPath, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    log.info(`  No ship names file ${namesPath}: using names from the GameParams entity names`);
+  }
+
+  return readGameParams(JSON.parse(raw), names);
+}
+
+/**
+ * Check whether two values differ by more than a relative tolerance
+ * @param {number} value - Value
+ * @param {number} reference - Reference value
+ * @param {number} pct - Tolerance (%)
+ * @returns {boolean} True if they differ
+ */
+function differsPct(value, reference, pct) {
+  return Math.abs(value - reference) > Math.abs(reference) * pct / 100;
+}
+
+/**
+ * Compare one ship with its reference entry
+ * @param {Object} data - Ship data entry
+ * @param {Object} reference - Reference ship data entry
+ * @returns {Array} [{field, value, reference}]
+ */
+function shipDifferences(data, reference) {
+  const differences = [];
+  const add = (field, value, expected) => differences.push({ field, value, reference: expected });
+
+  const sameClass = data.class === reference.class ||
+    (CRUISER_CLASSES.includes(data.class) && CRUISER_CLASSES.includes(reference.class));
+  if (!sameClass) add('class', data.class, reference.class);
+  if (data.nation !== reference.nation) add('nation', data.nation, reference.nation);
+  if (reference.tier !== undefined && data.tier !== reference.tier) add('tier', data.tier, reference.tier);
+  if (data.hasSpotter !== reference.hasSpotter) add('hasSpotter', data.hasSpotter, reference.hasSpotter);
+  if (Math.abs(data.baseMaxRange - reference.baseMaxRange) > GAMEPARAMS.tolerance.rangeKm) {
+    add('baseMaxRange', data.baseMaxRange, reference.baseMaxRange);
+  }
+
+  const shellTypes = new Set([...Object.keys(data.shells), ...Object.keys(reference.shells)]);
+  for (const shellType of shellTypes) {
+    const shell = data.shells[shellType];
+    const expected = reference.shells[shellType];
+    if (!shell || !expected) {
+      add(`shells.${shellType}`, shell ? 'present' : 'missing', expected ? 'present' : 'missing');
+      continue;
+    }
+    for (const field of ['muzzleVelocity', 'mass', 'dragCoefficient', 'caliber']) {
+      if (differsPct(shell[field], expected[field], GAMEPARAMS.tolerance.shellPct)) {
+        add(`shells.${shellType}.${field}`, shell[field], expected[field]);
+      }
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Cross-check imported data against a snapshot (e.g. a shiptool.st scrape)
+ * Ships are matched by normalized name.
+ * @param {Object} data - Imported data {shipData, sonarData}
+ * @param {Object} snapshot - Reference snapshot {ships, sonar}
+ * @returns {Object} {matched, ships: [{ship, differences: [{field, value, reference}]}],
+ *   onlyInSource: string[], onlyInReference: string[]}
+ */
+export function crossCheck(data, snapshot) {
+  const result = { matched: 0, ships: [], onlyInSource: [], onlyInReference: [] };
+
+  const compare = (source, reference, differences) => {
+    const byName = new Map(Object.keys(reference).map(name => [normalizeForMatching(name), name]));
+
+    for (const [name, entry] of Object.entries(source)) {
+      const referenceName = byName.get(normalizeForMatching(name));
+      if (!referenceName) {
+        result.onlyInSource.push(name);
+        continue;
+      }
+      byName.delete(normalizeForMatching(name));
+      result.matched++;
+
+      const changes = differences(entry, reference[referenceName]);
+      if (changes.length > 0) result.ships.push({ ship: name, differences: changes });
+    }
+    result.onlyInReference.push(...byName.values());
+  };
+
+  compare(data.shipData, snapshot.ships, shipDifferences);
+  compare(data.sonarData, snapshot.sonar ?? {}, (sonar, reference) => [
+    ...(differsPct(sonar.waveSpeed, reference.waveSpeed, GAMEPARAMS.tolerance.shellPct)
+      ? [{ field: 'waveSpeed', value: sonar.waveSpeed, reference: reference.waveSpeed }] : []),
+    ...(Math.abs(sonar.range - reference.range) > GAMEPARAMS.tolerance.rangeKm
+      ? [{ field: 'range', value: sonar.range, reference: reference.range }] : [])
+  ]);
+
+  return result;
+}
+
+/**
+ * Log a cross-check result
+ * @param {Object} result - Result of crossCheck
+ */
+export function logCrossCheck(result) {
+  for (const { ship, differences } of result.ships) {
+    log.warn(`  [DIFF] ${ship}: ${differences.map(d => `${d.field} ${d.value} vs ${d.reference}`).join(', ')}`);
+  }
+  if (result.onlyInSource.length > 0) {
+    log.info(`  Only in GameParams (${result.onlyInSource.length}): ${result.onlyInSource.join(', ')}`);
+  }
+  if (result.onlyInReference.length > 0) {
+    log.info(`  Only in the snapshot (${result.onlyInReference.length}): ${result.onlyInReference.join(', ')}`);
+  }
+
+  log.info(`\n${result.matched} ships matched, ${result.ships.length} with differences`);
+}
+
+/**
+ * Write a cross-check result as JSON
+ * @param {Object} result - Result of crossCheck
+ * @param {string} outDir - Output directory
+ */
+export async function writeCrossCheck(result, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `${GAMEPARAMS.crossCheckFile}.json`);
+  await fs.writeFile(jsonPath, JSON.stringify(result, null, 2), 'utf-8');
+  log.info(`  Written: ${jsonPath}`);
+}
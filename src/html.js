@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getBallisticsAtRange, simulateTrajectory } from './physics.js';
+import { calculateFactor, impliedFlightTime } from './utils.js';
+import { HTML } from './config.js';
+import { log } from './logger.js';
+
+// Chart colours per shell type
+const SHELL_COLORS = { ap: '#c0392b', he: '#e67e22', sap: '#2980b9' };
+
+// Chart geometry (px)
+const CHART = { width: 420, height: 240, left: 48, right: 12, top: 28, bottom: 36 };
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pick a round tick step (1, 2 or 5 × 10^n) for an axis span
+ * @param {number} span - Axis span
+ * @returns {number} Tick step
+ */
+function tickStep(span) {
+  const raw = span / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find(m => m * magnitude >= raw);
+  return step * magnitude;
+}
+
+/**
+ * Format a tick label
+ * @param {number} value - Tick value
+ * @returns {string} Label without trailing zeros
+ */
+function tickLabel(value) {
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Render a line chart as inline SVG
+ * Axes start at 0 unless fromZero is false; the x axis ends at the last data point.
+ * @param {Object} chart - {title, xLabel, yLabel, fromZero, series: [{label, color, dashed, points: [[x, y]]}]}
+ * @returns {string} SVG markup
+ */
+function lineChart({ title, xLabel, yLabel, fromZero = true, series }) {
+  const points = series.flatMap(s => s.points);
+  if (points.length === 0) return '';
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const xMin = Math.min(0, ...xs);
+  const xMax = Math.max(...xs);
+  const xStep = tickStep(xMax - xMin || 1);
+  const yLow = fromZero ? Math.min(0, ...ys) : Math.min(...ys);
+  const yStep = tickStep(Math.max(...ys) - yLow || 1);
+  const yMin = Math.floor(yLow / yStep) * yStep;
+  const yMax = Math.ceil(Math.max(...ys) / yStep) * yStep;
+
+  const plotW = CHART.width - CHART.left - CHART.right;
+  const plotH = CHART.height - CHART.top - CHART.bottom;
+  const sx = x => (CHART.left + (x - xMin) / (xMax - xMin || 1) * plotW).toFixed(1);
+  const sy = y => (CHART.top + plotH - (y - yMin) / (yMax - yMin || 1) * plotH).toFixed(1);
+
+  const parts = [
+    `<svg class="chart" viewBox="0 0 ${CHART.width} ${CHART.height}" width="${CHART.width}" height="${CHART.height}" role="img">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<text x="${CHART.left}" y="16" class="title">${escapeHtml(title)}</text>`
+  ];
+
+  // Grid and tick labels
+  for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax + 1e-9; x += xStep) {
+    parts.push(`<line x1="${sx(x)}" y1="${CHART.top}" x2="${sx(x)}" y2="${CHART.top + plotH}" class="grid"/>`);
+    parts.push(`<text x="${sx(x)}" y="${CHART.top + plotH + 14}" class="tick" text-anchor="middle">${tickLabel(x)}</text>`);
+  }
+  for (let y = yMin; y <= yMax + yStep / 2; y += yStep) {
+    parts.push(`<line x1="${CHART.left}" y1="${sy(y)}" x2="${CHART.left + plotW}" y2="${sy(y)}" class="grid"/>`);
+    parts.push(`<text x="${CHART.left - 4}" y="${sy(y)}" class="tick" text-anchor="end" dominant-baseline="middle">${tickLabel(y)}</text>`);
+  }
+  parts.push(`<text x="${CHART.left + plotW / 2}" y="${CHART.height - 4}" class="axis" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+  parts.push(`<text x="12" y="${CHART.top + plotH / 2}" class="axis" text-anchor="middle" transform="rotate(-90 12 ${CHART.top + plotH / 2})">${escapeHtml(yLabel)}</text>`);
+
+  // Series and legend
+  series.forEach((s, i) => {
+    if (s.points.length === 0) return;
+    const d = s.points.map(([x, y], j) => `${j === 0 ? 'M' : 'L'}${sx(x)},${sy(y)}`).join(' ');
+    const dash = s.dashed ? ' stroke-dasharray="5 3"' : '';
+    parts.push(`<path d="${d}" fill="none" stroke="${s.color}" stroke-width="1.5"${dash}/>`);
+
+    const ly = CHART.top + 10 + i * 12;
+    const lx = CHART.left + plotW - 110;
+    parts.push(`<line x1="${lx}" y1="${ly}" x2="${lx + 16}" y2="${ly}" stroke="${s.color}" stroke-width="1.5"${dash}/>`);
+    parts.push(`<text x="${lx + 20}" y="${ly}" class="legend" dominant-baseline="middle">${escapeHtml(s.label)}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Keep at most maxPoints points of a path (always including the last)
+ * @param {Array} points - Points
+ * @param {number} maxPoints - Maximum point count
+ * @returns {Array} Thinned points
+ */
+function thin(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const stride = Math.ceil(points.length / maxPoints);
+  return points.filter((_, i) => i % stride === 0 || i === points.length - 1);
+}
+
+/**
+ * Build the charts for one ship
+ * @param {Object} ship - Ship result from the summary
+ * @param {number} samples - Range samples per curve
+ * @returns {string} SVG markup of all charts
+ */
+function shipCharts(ship, samples) {
+  const arcs = [];
+  const flightTime = [];
+  const impactAngle = [];
+  const factor = [];
+
+  for (const [shellType, shell] of Object.entries(ship.shells)) {
+    const color = SHELL_COLORS[shellType] ?? '#555';
+    const label = shellType.toUpperCase();
+
+    // Trajectory arcs at half and max range
+    for (const [name, range, dashed] of [['half', shell.halfRange, true], ['max', shell.maxRange, false]]) {
+      const { launchAngle } = getBallisticsAtRange(range, shell.shellProps);
+      const { path: arc } = simulateTrajectory(launchAngle, shell.shellProps, { trace: true });
+      arcs.push({
+        label: `${label} ${name}`,
+        color,
+        dashed,
+        points: thin(arc, 120).map(p => [p.x / 1000, p.y / 1000])
+      });
+    }
+
+    // True curves sampled over the full range
+    const curve = [];
+    for (let i = 1; i <= samples; i++) {
+      const range = shell.maxRange * i / samples;
+      curve.push({ range, ...getBallisticsAtRange(range, shell.shellProps) });
+    }
+    flightTime.push({ label, color, points: curve.map(c => [c.range, c.flightTime]) });
+    impactAngle.push({ label, color, points: curve.map(c => [c.range, c.impactAngle]) });
+    factor.push({
+      label,
+      color,
+      points: curve
+        .map(c => [c.range, calculateFactor(c.range, c.flightTime, c.impactAngle)])
+        .filter(([, f]) => f !== null)
+    });
+
+    // FireMode bands: constant BulletSpeed, and the flight time the game assumes from it
+    const bands = shell.bands ?? [];
+    if (bands.length > 0) {
+      const bulletSpeed = band => Number(band.factor.toFixed(2));
+      const implied = curve.map(c => {
+        const band = bands.find(b => c.range <= b.maxRange) ?? bands[bands.length - 1];
+        return [c.range, impliedFlightTime(c.range, bulletSpeed(band), c.impactAngle)];
+      });
+
+      factor.push({
+        label: `${label} config`,
+        color,
+        dashed: true,
+        points: bands.flatMap(band => [[band.minRange, bulletSpeed(band)], [band.maxRange, bulletSpeed(band)]])
+      });
+      flightTime.push({ label: `${label} config`, color, dashed: true, points: implied });
+    }
+  }
+
+  return [
+    lineChart({ title: 'Trajectory (half / max range)', xLabel: 'range (km)', yLabel: 'height (km)', series: arcs }),
+    lineChart({ title: 'Flight time', xLabel: 'range (km)', yLabel: 'flight time (s)', series: flightTime }),
+    lineChart({ title: 'Impact angle', xLabel: 'range (km)', yLabel: 'impact angle (°)', series: impactAngle }),
+    lineChart({ title: 'BulletSpeed factor', xLabel: 'range (km)', yLabel: 'factor', fromZero: false, series: factor })
+  ].join('\n');
+}
+
+/**
+ * Build the self-contained HTML report (no external resources)
+ * @param {Object} summary - Summary {ships} from calculatePhase
+ * @param {Object} options - {samples (range samples per curve), shells: string[]}
+ * @returns {string} HTML document
+ */
+export function buildHtmlReport(summary, options = {}) {
+  const samples = options.samples ?? HTML.samples;
+  const rows = [];
+  const sections = [];
+
+  Object.entries(summary.ships).forEach(([shipName, ship], i) => {
+    const shells = Object.fromEntries(Object.entries(ship.shells)
+      .filter(([shellType]) => !options.shells || options.shells.includes(shellType)));
+    if (Object.keys(shells).length === 0) return;
+
+    const id = `ship-${i}`;
+    const search = escapeHtml(`${shipName} ${ship.class} ${ship.nation ?? ''}`.toLowerCase());
+    const factors = Object.entries(shells)
+      .map(([shellType, s]) => `${shellType.toUpperCase()} ${s.bands?.map(b => b.factor.toFixed(2)).join(' / ') ?? s.halfFactor.toFixed(2)}`)
+      .join('<br>');
+
+    rows.push(`<tr data-search="${search}"><td><a href="#${id}">${escapeHtml(shipName)}</a></td><td>${escapeHtml(ship.class)}</td>` +
+      `<td>${escapeHtml(ship.nation ?? '')}</td><td>${ship.tier ?? ''}</td><td>${ship.modifiedRange.toFixed(2)}</td><td>${factors}</td></tr>`);
+    sections.push(`<details id="${id}" data-search="${search}"><summary>${escapeHtml(shipName)} ` +
+      `<span class="meta">${escapeHtml(ship.class)}, ${escapeHtml(ship.nation ?? '')}, max range ${ship.modifiedRange.toFixed(2)} km</span></summary>\n` +
+      `<div class="charts">${shipCharts({ ...ship, shells }, samples)}</div></details>`);
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Ballistics report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 1.5em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border-bottom: 1px solid #ddd; padding: 3px 10px; text-align: left; vertical-align: top; font-size: 13px; }
+th { background: #f4f4f4; }
+input { font-size: 14px; padding: 4px 8px; width: 300px; margin-bottom: 1em; }
+details { border-top: 1px solid #ddd; padding: 6px 0; }
+summary { cursor: pointer; font-weight: 600; }
+.meta { font-weight: normal; color: #777; margin-left: 0.5em; }
+.charts { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+.chart .grid { stroke: #eee; }
+.chart .tick, .chart .legend { font-size: 9px; fill: #555; }
+.chart .axis { font-size: 10px; fill: #333; }
+.chart .title { font-size: 12px; font-weight: 600; fill: #222; }
+.hidden { display: none; }
+</style>
+</head>
+<body>
+<h1>Ballistics report</h1>
+<p>${rows.length} ships. Dashed lines: half range arcs, and the BulletSpeed factor / flight time written to the config.</p>
+<input id="search" type="search" placeholder="Search ship, class or nation" autofocus>
+<table>
+<thead><tr><th>Ship</th><th>Class</th><th>Nation</th><th>Tier</th><th>Max range (km)</th><th>BulletSpeed per band</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${sections.join('\n')}
+<script>
+document.getElementById('search').addEventListener('input', event => {
+  const terms = event.target.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  for (const el of document.querySelectorAll('[data-search]')) {
+    el.classList.toggle('hidden', !terms.every(term => el.dataset.search.includes(term)));
+  }
+});
+document.querySelectorAll('a[href^="#ship-"]').forEach(link => link.addEventListener('click', () => {
+  document.querySelector(link.getAttribute('href')).open = true;
+}));
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report to the output directory
+ * @param {string} html - HTML from buildHtmlReport
+ * @param {string} outDir - Output directory
+ */
+export async function writeHtmlReport(html, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const htmlPath = path.join(outDir, `${HTML.reportFile}.html`);
+  await fs.writeFile(htmlPath, html, 'utf-8');
+  log.info(`  Written: ${htmlPath}`);
+}
@@ -1,193 +1,480 @@
-import fs from 'fs/promises';
+import { parseArgs } from 'util';
 import path from 'path';
-import { scrapeShipData, validateScrapedData, scrapeSonarData } from './scraper.js';
-import { getBallisticsAtRange, calculateModifiedRange } from './physics.js';
-import { calculateFactor, normalizeShipName, assignToFiles, generateSonarConfig } from './utils.js';
+import {
+  scrapePhase,
+  importPhase,
+  loadPhase,
+  overridePhase,
+  calculatePhase,
+  writeSummary,
+  readSummary,
+  generatePhase,
+  findShip,
+  queryBallistics,
+  formatPenetration
+} from './pipeline.js';
+import { buildQualityReport, writeQualityReport } from './quality.js';
+import { computeLead } from './lead.js';
+import { buildHtmlReport, writeHtmlReport } from './html.js';
+import { startServer } from './server.js';
+import { getWriter, listWriters } from './writers.js';
+import { getProfile } from './physics.js';
+import { findModuleDifferences, logModuleDifferences } from './modules.js';
+import { parseConfigFile } from './cfgparser.js';
+import { loadRun, diffRuns, formatDiffMarkdown, writeDiffReport } from './diff.js';
+import { loadReference, saveReference, validateAgainstReference, logValidation, writeValidationReport } from './validate.js';
+import { OUTPUT, SNAPSHOT, BANDS, QUALITY, OVERRIDES, VALIDATION, ENGINE, SERVER, PROFILES, SCRAPER, GAMEPARAMS } from './config.js';
+import { log, setLogLevel } from './logger.js';
+
+const SHELL_TYPES = ['ap', 'he', 'sap'];
+const SOURCES = ['shiptool', 'gameparams'];
+
+const USAGE = `Usage: node src/index.js [command] [options]
+
+Commands:
+  run                 Scrape (or load with --offline), calculate and generate (default)
+  scrape              Scrape shiptool.st (or import --source gameparams) and save the raw data snapshot
+  calc                Calculate ballistics from the snapshot and write _summary.json
+  generate            Write the weapon configs (or the selected --writers) from _summary.json
+  query <ship>        Print ballistics for one ship
+  modules             List ships whose hull/gun/FCS modules would change the generated config
+  lead <ship>         Print the lead on a moving target, true and as implied by the config
+  report              Write the lead-error quality report from _summary.json
+  html                Write a self-contained HTML report with charts from _summary.json
+  check <file...>     Parse .cfg files and report malformed weapon blocks
+  diff <old> <new>    Compare two runs (_summary.json files or output directories)
+  validate            Compare calculated ballistics with shiptool.st reference values
+  serve               Serve ballistics from the snapshot over a local HTTP API
+
+Options:
+  -o, --out-dir <dir>     Output directory (default: ${OUTPUT.dir})
+  -s, --snapshot <path>   Snapshot file (default: ${SNAPSHOT.path})
+      --overrides <path>  Ship overrides file, JSON or YAML (default: ${OVERRIDES.path} if present)
+      --offline           run: read the snapshot instead of scraping
+      --concurrency <n>   run/scrape: tables scraped at once in the shared browser (default: ${SCRAPER.concurrency})
+      --source <name>     run/scrape: data source, ${SOURCES.join(' or ')} (default: ${SOURCES[0]})
+      --gameparams <path> GameParams JSON file (default: ${GAMEPARAMS.path})
+      --names <path>      Ship display names for GameParams (default: ${GAMEPARAMS.namesPath} if present)
+      --cross-check <path>  With --source gameparams: compare with a shiptool.st snapshot and write ${GAMEPARAMS.crossCheckFile}.json
+      --shells <list>     Comma-separated shell types to include (default: ${SHELL_TYPES.join(',')})
+      --shell <type>      query: single shell type (ap, he or sap)
+      --range <km>        query/lead: range in km (default: modified max range)
+      --speed <kts>       lead: target speed (default: ${BANDS.targetSpeedKts} kts)
+      --heading <deg>     lead: target heading, 0 = away, 90 = crossing right, 180 = towards (default: 90)
+      --bands <n>         Number of equal-width FireMode range bands (default: ${BANDS.count})
+      --adaptive          Place range bands by lead error instead of equal width
+      --max-lead-error <m>  Lead error tolerance per adaptive band (default: ${BANDS.maxLeadError} m)
+      --engine <mode>     Ballistics engine: table or bisect (default: ${ENGINE.mode})
+      --workers <n>       Worker threads for calculation (default: one per CPU for large runs)
+      --profile <list>    Comma-separated loadout profiles (default: default); with several,
+                          run/calc/generate use one subdirectory of the output directory per profile
+${Object.entries(PROFILES).map(([name, p]) => `                            ${name.padEnd(10)} ${p.label}`).join('\n')}
+      --writers <list>    run/generate: comma-separated output writers (default: ${OUTPUT.writers.join(',')})
+${listWriters().map(w => `                            ${w.name.padEnd(5)} ${w.description}`).join('\n')}
+      --merge             run/generate: update existing HE.cfg/AP.cfg in place, keeping hand-made weapons
+      --pin <weapon>      With --merge: never regenerate this weapon (repeatable)
+      --reference <path>  validate: reference ballistics file (default: ${VALIDATION.referencePath})
+      --scrape-reference  validate: scrape the reference from shiptool.st and save it first
+      --fail-on-error     validate: exit with an error if any point is over ${VALIDATION.maxErrorPct}%
+      --port <n>          serve: port to listen on (default: ${SERVER.port})
+      --step <km>         report: range step for the lead error sweep (default: ${QUALITY.stepKm} km)
+  -v, --verbose           Show debug output
+  -q, --quiet             Only show warnings and errors
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  'out-dir': { type: 'string', short: 'o', default: OUTPUT.dir },
+  snapshot: { type: 'string', short: 's', default: SNAPSHOT.path },
+  offline: { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  source: { type: 'string', default: SOURCES[0] },
+  gameparams: { type: 'string', default: GAMEPARAMS.path },
+  names: { type: 'string' },
+  'cross-check': { type: 'string' },
+  overrides: { type: 'string' },
+  shells: { type: 'string' },
+  shell: { type: 'string' },
+  range: { type: 'string' },
+  speed: { type: 'string' },
+  heading: { type: 'string' },
+  bands: { type: 'string' },
+  adaptive: { type: 'boolean', default: false },
+  'max-lead-error': { type: 'string' },
+  step: { type: 'string' },
+  port: { type: 'string' },
+  reference: { type: 'string', default: VALIDATION.referencePath },
+  'scrape-reference': { type: 'boolean', default: false },
+  'fail-on-error': { type: 'boolean', default: false },
+  engine: { type: 'string' },
+  workers: { type: 'string' },
+  profile: { type: 'string' },
+  writers: { type: 'string' },
+  merge: { type: 'boolean', default: false },
+  pin: { type: 'string', multiple: true, default: [] },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
 
-const CONFIGS_DIR = 'configs';
+/**
+ * Parse a comma-separated shell type list
+ * @param {string|undefined} value - e.g. "ap,he"
+ * @returns {string[]|undefined} Shell types, or undefined for all
+ */
+function parseShellList(value) {
+  if (value === undefined) return undefined;
+
+  const shells = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const shell of shells) {
+    if (!SHELL_TYPES.includes(shell)) {
+      throw new Error(`Unknown shell type "${shell}" (expected ${SHELL_TYPES.join(', ')})`);
+    }
+  }
+  return shells;
+}
+
+/**
+ * Parse a comma-separated output writer list
+ * @param {string|undefined} value - e.g. "xml,csv"
+ * @returns {string[]|undefined} Writer names, or undefined for the default
+ */
+function parseWriterList(value) {
+  if (value === undefined) return undefined;
+
+  const names = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  names.forEach(getWriter); // Throws for unknown writers
+  return names;
+}
+
+/**
+ * Parse a comma-separated loadout profile list
+ * @param {string|undefined} value - e.g. "default,no-spotter"
+ * @returns {string[]} Profile names (default ['default'])
+ */
+function parseProfileList(value) {
+  const names = (value ?? 'default').split(',').map(s => s.trim()).filter(Boolean);
+  names.forEach(getProfile); // Throws for unknown profiles
+  return names;
+}
+
+/**
+ * Output directory of each profile
+ * A single profile writes to the output directory itself, several get one subdirectory each.
+ * @param {string[]} profiles - Profile names
+ * @param {string} outDir - Output directory
+ * @returns {Array} [{profile, outDir}]
+ */
+function profileRuns(profiles, outDir) {
+  return profiles.map(profile => ({
+    profile,
+    outDir: profiles.length === 1 ? outDir : path.join(outDir, profile)
+  }));
+}
+
+/**
+ * Phase 1 from the selected data source: scrape shiptool.st or import a GameParams dump
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} phaseOptions - {concurrency, outDir}
+ * @returns {Promise<Object>} {shipData, sonarData, torpedoData}
+ */
+function sourcePhase(options, { concurrency, outDir }) {
+  if (options.source === 'gameparams') {
+    return importPhase(options.gameparams, options.snapshot, {
+      namesPath: options.names,
+      crossCheck: options['cross-check'],
+      outDir
+    });
+  }
+  return scrapePhase(options.snapshot, { concurrency, outDir });
+}
+
+/**
+ * Collect range band options from the command line
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Overrides for BANDS
+ */
+function parseBandOptions(options) {
+  const bands = { adaptive: options.adaptive };
+
+  if (options.bands !== undefined) {
+    bands.count = parseInt(options.bands, 10);
+    if (!(bands.count >= 1)) throw new Error(`Invalid band count: ${options.bands}`);
+  }
+  if (options['max-lead-error'] !== undefined) {
+    bands.maxLeadError = parseFloat(options['max-lead-error']);
+    if (!(bands.maxLeadError > 0)) throw new Error(`Invalid lead error tolerance: ${options['max-lead-error']}`);
+  }
+
+  return bands;
+}
+
+/**
+ * Apply engine options from the command line
+ * @param {Object} options - Parsed CLI options
+ * @returns {number|undefined} Worker thread count, or undefined for the default
+ */
+function applyEngineOptions(options) {
+  if (options.engine !== undefined) {
+    if (!['table', 'bisect'].includes(options.engine)) {
+      throw new Error(`Unknown engine "${options.engine}" (expected table or bisect)`);
+    }
+    ENGINE.mode = options.engine;
+  }
+
+  if (options.workers === undefined) return undefined;
+  const workers = parseInt(options.workers, 10);
+  if (!(workers >= 1)) throw new Error(`Invalid worker count: ${options.workers}`);
+  return workers;
+}
+
+/**
+ * Print ballistics for one ship
+ * @param {string} name - Ship name
+ * @param {Object} options - Parsed CLI options
+ */
+async function query(name, options) {
+  if (!name) throw new Error('query needs a ship name');
+
+  const { shipData: scraped } = await loadPhase(options.snapshot);
+  const shipData = await overridePhase(scraped, options.overrides ?? OVERRIDES.path, options.overrides !== undefined);
+  const shipName = findShip(shipData, name);
+  if (!shipName) throw new Error(`Ship not found in snapshot: ${name}`);
+
+  const rangeKm = options.range !== undefined ? parseFloat(options.range) : undefined;
+  if (rangeKm !== undefined && !(rangeKm > 0)) {
+    throw new Error(`Invalid range: ${options.range}`);
+  }
+
+  const shells = options.shell ? parseShellList(options.shell) : parseShellList(options.shells);
+  const profile = parseProfileList(options.profile)[0];
+  const result = queryBallistics(shipData[shipName], shipName, { rangeKm, shells, profile });
+
+  const data = shipData[shipName];
+  console.log(`\n${shipName} (${data.class}, ${data.nation}) - max range ${result.modifiedRange.toFixed(2)} km, at ${result.rangeKm.toFixed(2)} km:`);
+  console.log(`  Profile ${profile}, range modifiers: ${result.rangeModifiers.join(', ') || 'none'}`);
+  if (data.modules) console.log(`  Module ${data.module} (${data.modules.length} available)`);
+
+  if (Object.keys(result.shells).length === 0) {
+    console.log('  No matching shells');
+    return;
+  }
+  for (const [shellType, b] of Object.entries(result.shells)) {
+    const factor = b.factor !== null ? b.factor.toFixed(3) : 'n/a';
+    console.log(`  ${shellType.toUpperCase().padEnd(3)}  flight time ${b.flightTime.toFixed(2)} s, impact angle ${b.impactAngle.toFixed(2)}°, impact velocity ${b.impactVelocity.toFixed(0)} m/s, BulletSpeed ${factor}`);
+    if (b.penetration) console.log(`       penetration ${formatPenetration(b.penetration, result.rangeKm)}`);
+  }
+
+  if (result.dispersion) {
+    const d = result.dispersion;
+    console.log(`  Dispersion ${d.horizontal.toFixed(0)} x ${d.vertical.toFixed(0)} m (vertical ratio ${d.verticalRatio.toFixed(2)}, sigma ${d.sigma}), hit probability ${(d.hitProbability * 100).toFixed(1)}%`);
+  }
+}
+
+/**
+ * Print the lead on a moving target for one ship
+ * @param {string} name - Ship name
+ * @param {Object} options - Parsed CLI options
+ */
+async function lead(name, options) {
+  if (!name) throw new Error('lead needs a ship name');
+
+  const summary = await readSummary(options['out-dir']);
+  const shipName = findShip(summary.ships, name);
+  if (!shipName) throw new Error(`Ship not found in summary: ${name}`);
+
+  const ship = summary.ships[shipName];
+  const shellType = options.shell ? parseShellList(options.shell)[0] : Object.keys(ship.shells)[0];
+  const rangeKm = options.range !== undefined ? parseFloat(options.range) : ship.modifiedRange;
+  const speed = options.speed !== undefined ? parseFloat(options.speed) : BANDS.targetSpeedKts;
+  const heading = options.heading !== undefined ? parseFloat(options.heading) : 90;
+  if (!(rangeKm > 0)) throw new Error(`Invalid range: ${options.range}`);
+  if (!(speed >= 0)) throw new Error(`Invalid speed: ${options.speed}`);
+  if (!Number.isFinite(heading)) throw new Error(`Invalid heading: ${options.heading}`);
+
+  const result = await computeLead(shipName, shellType, rangeKm, speed, heading, { summary });
+  const line = (label, l) => console.log(`  ${label}  flight time ${l.flightTime.toFixed(2)} s, lead ${l.leadDistance.toFixed(1)} m, lead angle ${l.leadAngle.toFixed(3)}°, aim point (${l.aimPoint.x.toFixed(1)}, ${l.aimPoint.y.toFixed(1)}) m`);
+
+  console.log(`\n${shipName} ${shellType.toUpperCase()} at ${rangeKm.toFixed(2)} km, target ${speed} kts heading ${heading}°:`);
+  line('Ballistic', result.ballistic);
+  line(`FireMode `, result.fireMode);
+  console.log(`  BulletSpeed ${result.fireMode.bulletSpeed}: aim point off by ${result.discrepancy.meters.toFixed(1)} m (${result.discrepancy.leadAngle.toFixed(3)}°)`);
+}
 
 /**
  * Main entry point
  */
 async function main() {
-  console.log('=== WoWS Ballistics Calculator ===\n');
-
-  // 1. Scrape ship data (surface ships and submarines)
-  console.log('Phase 1: Scraping ship data from shiptool.st...\n');
-  const shipData = await scrapeShipData();
-
-  // Validate scraped data
-  const issues = validateScrapedData(shipData);
-  if (issues.length > 0) {
-    console.warn('\nData validation issues:');
-    issues.forEach(issue => console.warn(`  - ${issue}`));
-    console.warn('');
+  const { values: options, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: OPTIONS,
+    allowPositionals: true
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.verbose) setLogLevel('debug');
+  if (options.quiet) setLogLevel('warn');
+
+  const [command = 'run', ...args] = positionals;
+  const outDir = options['out-dir'];
+  const shells = parseShellList(options.shells);
+  const bands = parseBandOptions(options);
+  const workers = applyEngineOptions(options);
+  const writers = parseWriterList(options.writers);
+  const profiles = parseProfileList(options.profile);
+  const overridesPath = options.overrides ?? OVERRIDES.path;
+  const concurrency = options.concurrency !== undefined ? parseInt(options.concurrency, 10) : undefined;
+  if (concurrency !== undefined && !(concurrency >= 1)) throw new Error(`Invalid concurrency: ${options.concurrency}`);
+  if (!SOURCES.includes(options.source)) {
+    throw new Error(`Unknown source "${options.source}" (expected ${SOURCES.join(', ')})`);
+  }
+  if (options['cross-check'] && options.source !== 'gameparams') {
+    throw new Error('--cross-check needs --source gameparams');
   }
 
-  // 1b. Scrape submarine sonar data
-  console.log('\nPhase 1b: Scraping submarine sonar data...\n');
-  const sonarData = await scrapeSonarData();
-
-  // 2. Calculate ballistics for each ship
-  console.log('\nPhase 2: Calculating ballistics...\n');
-  const results = {};
-  let successCount = 0;
-  let errorCount = 0;
-
-  for (const [shipName, data] of Object.entries(shipData)) {
-    try {
-      const modifiedRange = calculateModifiedRange(
-        data.baseMaxRange,
-        data.class,
-        data.hasSpotter,
-        shipName,
-        data.nation
-      );
-
-      results[shipName] = {
-        class: data.class,
-        nation: data.nation,
-        baseMaxRange: data.baseMaxRange,
-        modifiedRange,
-        hasSpotter: data.hasSpotter,
-        shells: {}
-      };
-
-      for (const [shellType, shellProps] of Object.entries(data.shells)) {
-        const halfRange = modifiedRange / 2;
-
-        // Calculate ballistics at half range
-        const halfBallistics = getBallisticsAtRange(halfRange, shellProps);
-        const halfFactor = calculateFactor(halfRange, halfBallistics.flightTime, halfBallistics.impactAngle);
-
-        // Calculate ballistics at max range
-        const maxBallistics = getBallisticsAtRange(modifiedRange, shellProps);
-        const maxFactor = calculateFactor(modifiedRange, maxBallistics.flightTime, maxBallistics.impactAngle);
-
-        if (halfFactor !== null && maxFactor !== null) {
-          results[shipName].shells[shellType] = {
-            halfRange,
-            halfFactor,
-            halfFlightTime: halfBallistics.flightTime,
-            halfImpactAngle: halfBallistics.impactAngle,
-            maxRange: modifiedRange,
-            maxFactor,
-            maxFlightTime: maxBallistics.flightTime,
-            maxImpactAngle: maxBallistics.impactAngle,
-            shellProps
-          };
-        } else {
-          console.warn(`Invalid factor calculated for ${shipName} (${shellType})`);
-        }
+  switch (command) {
+    case 'run': {
+      log.info('=== WoWS Ballistics Calculator ===\n');
+      const { shipData, sonarData, torpedoData } = options.offline
+        ? await loadPhase(options.snapshot)
+        : await sourcePhase(options, { concurrency, outDir });
+
+      const patched = await overridePhase(shipData, overridesPath, options.overrides !== undefined);
+      for (const run of profileRuns(profiles, outDir)) {
+        const summary = await calculatePhase(patched, sonarData, { shells, bands, workers, profile: run.profile, torpedoData });
+        await generatePhase(summary, { outDir: run.outDir, shells, merge: options.merge, pinned: options.pin, writers });
+        await writeSummary(summary, run.outDir);
       }
+      log.info('\n=== Done! ===');
+      break;
+    }
+
+    case 'scrape':
+      await sourcePhase(options, { concurrency, outDir });
+      break;
 
-      if (Object.keys(results[shipName].shells).length > 0) {
-        successCount++;
-        console.log(`  [OK] ${shipName}: ${Object.keys(results[shipName].shells).join(', ')}`);
-      } else {
-        delete results[shipName];
-        errorCount++;
-        console.warn(`  [SKIP] ${shipName}: No valid shell configs`);
+    case 'calc': {
+      const { shipData, sonarData, torpedoData } = await loadPhase(options.snapshot);
+      const patched = await overridePhase(shipData, overridesPath, options.overrides !== undefined);
+      for (const run of profileRuns(profiles, outDir)) {
+        const summary = await calculatePhase(patched, sonarData, { shells, bands, workers, profile: run.profile, torpedoData });
+        await writeSummary(summary, run.outDir);
       }
+      break;
+    }
 
-    } catch (err) {
-      errorCount++;
-      console.error(`  [ERROR] ${shipName}: ${err.message}`);
+    case 'generate': {
+      for (const run of profileRuns(profiles, outDir)) {
+        const summary = await readSummary(run.outDir);
+        await generatePhase(summary, { outDir: run.outDir, shells, merge: options.merge, pinned: options.pin, writers });
+      }
+      break;
     }
-  }
 
-  console.log(`\nCalculated ballistics for ${successCount} ships (${errorCount} errors)`);
+    case 'report': {
+      const summary = await readSummary(outDir);
+      const stepKm = options.step !== undefined ? parseFloat(options.step) : undefined;
+      if (stepKm !== undefined && !(stepKm > 0)) throw new Error(`Invalid step: ${options.step}`);
 
-  // 3. Generate config files
-  console.log('\nPhase 3: Generating config files...\n');
+      log.info('Building lead-error quality report...\n');
+      const report = buildQualityReport(summary, { stepKm, shells });
+      await writeQualityReport(report, outDir);
+      break;
+    }
 
-  // Ensure configs directory exists
-  await fs.mkdir(CONFIGS_DIR, { recursive: true });
+    case 'html': {
+      const summary = await readSummary(outDir);
+      log.info('Building HTML report...\n');
+      await writeHtmlReport(buildHtmlReport(summary, { shells }), outDir);
+      break;
+    }
 
-  const heConfigs = [];
-  const apConfigs = [];
+    case 'check': {
+      if (args.length === 0) throw new Error('check needs at least one .cfg file');
 
-  for (const [shipName, shipResult] of Object.entries(results)) {
-    // Skip submarines - they only get sonar configs, not shell configs
-    if (shipResult.class === 'SS') continue;
+      let errorCount = 0;
+      for (const file of args) {
+        const { weapons, errors } = await parseConfigFile(file);
+        console.log(`${file}: ${weapons.length} weapons, ${errors.length} errors`);
+        errors.forEach(err => console.log(`  line ${err.line}: ${err.message}`));
+        errorCount += errors.length;
+      }
+      if (errorCount > 0) process.exitCode = 1;
+      break;
+    }
 
-    const normalizedName = normalizeShipName(shipName);
+    case 'diff': {
+      if (args.length !== 2) throw new Error('diff needs two runs: <old> <new>');
 
-    // Build shell results in the format expected by assignToFiles
-    const shellResults = {};
-    for (const [shellType, shellData] of Object.entries(shipResult.shells)) {
-      shellResults[shellType] = {
-        halfRange: shellData.halfRange,
-        halfFactor: shellData.halfFactor,
-        maxRange: shellData.maxRange,
-        maxFactor: shellData.maxFactor
-      };
+      const [before, after] = await Promise.all(args.map(loadRun));
+      const diff = diffRuns(before, after);
+      const markdown = formatDiffMarkdown(diff, { before: args[0], after: args[1] });
+      console.log(markdown);
+      await writeDiffReport(diff, markdown, outDir);
+      break;
     }
 
-    // Get caliber from any shell type (all same gun)
-    const caliber = Object.values(shipResult.shells)[0]?.shellProps?.caliber;
-
-    const { heConfigs: he, apConfigs: ap } = assignToFiles(
-      normalizedName,
-      shellResults,
-      shipResult.class,
-      shipName,
-      caliber
-    );
+    case 'validate': {
+      if (options['scrape-reference']) {
+        const { scrapeBallisticsReference } = await import('./scraper.js');
+        await saveReference(options.reference, await scrapeBallisticsReference());
+      }
 
-    heConfigs.push(...he);
-    apConfigs.push(...ap);
-  }
+      const reference = await loadReference(options.reference);
+      const { shipData } = await loadPhase(options.snapshot);
+      const patched = await overridePhase(shipData, overridesPath, options.overrides !== undefined);
 
-  // 3b. Generate submarine sonar configs (append to HE.cfg)
-  const sonarConfigs = [];
-  const sonarResults = {};
-
-  for (const [shipName, sonar] of Object.entries(sonarData)) {
-    const normalizedName = normalizeShipName(shipName);
-    const config = generateSonarConfig(normalizedName, sonar.bulletSpeed, sonar.range);
-    sonarConfigs.push(config);
-
-    // Add to sonar results for summary
-    sonarResults[shipName] = {
-      class: sonar.class,
-      nation: sonar.nation,
-      range: sonar.range,
-      waveSpeed: sonar.waveSpeed,
-      bulletSpeed: sonar.bulletSpeed
-    };
-
-    console.log(`  [SONAR] ${shipName}: waveSpeed=${sonar.waveSpeed} m/s, bulletSpeed=${sonar.bulletSpeed.toFixed(2)}`);
-  }
+      log.info('\nValidating physics against reference ballistics...\n');
+      const result = validateAgainstReference(patched, reference);
+      logValidation(result);
+      await writeValidationReport(result, outDir);
 
-  // Combine HE configs with sonar configs
-  const allHeConfigs = [...heConfigs, ...sonarConfigs];
+      if (options['fail-on-error'] && result.ships.length === 0) {
+        throw new Error('Validation failed: no reference points match the ship data');
+      }
+      if (options['fail-on-error'] && result.flaggedCount > 0) {
+        throw new Error(`Validation failed: ${result.flaggedCount} points over ${result.maxErrorPct}% error`);
+      }
+      break;
+    }
 
-  // Write config files
-  const heFilePath = path.join(CONFIGS_DIR, 'HE.cfg');
-  const apFilePath = path.join(CONFIGS_DIR, 'AP.cfg');
-  const summaryFilePath = path.join(CONFIGS_DIR, '_summary.json');
+    case 'query':
+      await query(args.join(' '), options);
+      break;
 
-  await fs.writeFile(heFilePath, allHeConfigs.join('\n\n'), 'utf-8');
-  console.log(`  Written: ${heFilePath} (${heConfigs.length} shell weapons + ${sonarConfigs.length} sonar weapons)`);
+    case 'modules': {
+      const { shipData } = await loadPhase(options.snapshot);
+      const patched = await overridePhase(shipData, overridesPath, options.overrides !== undefined);
+      log.info('\nModule differences (choose a module with "module" in the overrides file):\n');
+      logModuleDifferences(findModuleDifferences(patched));
+      break;
+    }
 
-  await fs.writeFile(apFilePath, apConfigs.join('\n\n'), 'utf-8');
-  console.log(`  Written: ${apFilePath} (${apConfigs.length} weapons)`);
+    case 'lead':
+      await lead(args.join(' '), options);
+      break;
 
-  // Include sonar data in summary
-  const fullSummary = {
-    ships: results,
-    submarines: sonarResults
-  };
+    case 'serve': {
+      const { shipData, sonarData, torpedoData } = await loadPhase(options.snapshot);
+      const patched = await overridePhase(shipData, overridesPath, options.overrides !== undefined);
+      const summary = await calculatePhase(patched, sonarData, { shells, bands, workers, profile: profiles[0], torpedoData });
 
-  await fs.writeFile(summaryFilePath, JSON.stringify(fullSummary, null, 2), 'utf-8');
-  console.log(`  Written: ${summaryFilePath}`);
+      const port = options.port !== undefined ? parseInt(options.port, 10) : undefined;
+      if (port !== undefined && !(port >= 0 && port <= 65535)) throw new Error(`Invalid port: ${options.port}`);
+      await startServer({ shipData: patched, summary, profile: profiles[0] }, { port });
+      break;
+    }
 
-  console.log('\n=== Done! ===');
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
 }
 
 // Run main
 main().catch(err => {
-  console.error('Fatal error:', err);
+  log.error('Fatal error:', err);
   process.exit(1);
 });
@@ -0,0 +1,97 @@
+import { getBallisticsAtRange } from './physics.js';
+import { impliedFlightTime, KNOTS_TO_MPS } from './utils.js';
+import { findShip, readSummary } from './pipeline.js';
+import { OUTPUT } from './config.js';
+
+/**
+ * Solve for the aim point that meets a moving target
+ * Iterates aim point -> flight time to the aim point -> target position at impact.
+ * @param {number} rangeM - Current target range in m
+ * @param {Object} velocity - Target velocity {x (across, to the right), y (away from the shooter)} in m/s
+ * @param {Function} flightTimeAt - Flight time in s for a range in km
+ * @returns {Object} {flightTime, leadDistance, leadAngle, aimPoint: {x, y, rangeKm}}
+ */
+function solveLead(rangeM, velocity, flightTimeAt) {
+  let aim = { x: 0, y: rangeM };
+  let flightTime = 0;
+
+  for (let i = 0; i < 50; i++) {
+    flightTime = flightTimeAt(Math.hypot(aim.x, aim.y) / 1000);
+    const next = { x: velocity.x * flightTime, y: rangeM + velocity.y * flightTime };
+    const moved = Math.hypot(next.x - aim.x, next.y - aim.y);
+    aim = next;
+    if (moved < 0.01) break;
+  }
+
+  return {
+    flightTime,
+    leadDistance: Math.hypot(velocity.x, velocity.y) * flightTime,
+    leadAngle: Math.atan2(aim.x, aim.y) * 180 / Math.PI,
+    aimPoint: { x: aim.x, y: aim.y, rangeKm: Math.hypot(aim.x, aim.y) / 1000 }
+  };
+}
+
+/**
+ * Find the FireMode band the config uses at a range
+ * @param {Array} bands - Range bands [{minRange, maxRange, factor}] in km
+ * @param {number} rangeKm - Range in km
+ * @returns {Object} Band (the last one beyond max range)
+ */
+function bandAt(bands, rangeKm) {
+  return bands.find(band => rangeKm <= band.maxRange) ?? bands[bands.length - 1];
+}
+
+/**
+ * Compute the lead on a moving target, from true ballistics and as implied by the generated FireMode
+ * The target heading is relative to the line of fire: 0° = moving away, 90° = crossing
+ * to the shooter's right, 180° = approaching. Aim points are in m, x to the right and
+ * y downrange from the shooter.
+ * @param {string} shipName - Ship name (matched like query)
+ * @param {string} shellType - Shell type (ap, he, sap)
+ * @param {number} rangeKm - Current target range in km
+ * @param {number} targetSpeedKts - Target speed in knots
+ * @param {number} targetHeadingDeg - Target heading relative to the line of fire (degrees)
+ * @param {Object} options - Options {summary (from calculatePhase; read from outDir if not given),
+ *   outDir (output directory with the summary, default OUTPUT.dir)}
+ * @returns {Promise<Object>} {shipName, shellType, rangeKm, targetSpeedKts, targetHeadingDeg,
+ *   ballistic: {flightTime, leadDistance, leadAngle, aimPoint},
+ *   fireMode: {bulletSpeed, flightTime, leadDistance, leadAngle, aimPoint},
+ *   discrepancy: {meters, leadAngle}}
+ */
+export async function computeLead(shipName, shellType, rangeKm, targetSpeedKts, targetHeadingDeg, options = {}) {
+  const summary = options.summary ?? await readSummary(options.outDir ?? OUTPUT.dir);
+  const name = findShip(summary.ships, shipName);
+  if (!name) throw new Error(`Ship not found in summary: ${shipName}`);
+
+  const shell = summary.ships[name].shells[shellType];
+  if (!shell) throw new Error(`${name} has no ${shellType} shell in the summary`);
+  if (!shell.bands) throw new Error(`Summary has no FireMode bands for ${name} (${shellType}), run calc again`);
+
+  const speed = targetSpeedKts * KNOTS_TO_MPS;
+  const heading = targetHeadingDeg * Math.PI / 180;
+  const velocity = { x: speed * Math.sin(heading), y: speed * Math.cos(heading) };
+  const rangeM = rangeKm * 1000;
+
+  const ballistic = solveLead(rangeM, velocity, range => getBallisticsAtRange(range, shell.shellProps).flightTime);
+
+  // Flight time the game assumes from the config's BulletSpeed (2 decimals, as written)
+  let bulletSpeed;
+  const fireMode = solveLead(rangeM, velocity, range => {
+    bulletSpeed = Number(bandAt(shell.bands, range).factor.toFixed(2));
+    return impliedFlightTime(range, bulletSpeed, getBallisticsAtRange(range, shell.shellProps).impactAngle);
+  });
+
+  return {
+    shipName: name,
+    shellType,
+    rangeKm,
+    targetSpeedKts,
+    targetHeadingDeg,
+    ballistic,
+    fireMode: { bulletSpeed, ...fireMode },
+    discrepancy: {
+      meters: Math.hypot(fireMode.aimPoint.x - ballistic.aimPoint.x, fireMode.aimPoint.y - ballistic.aimPoint.y),
+      leadAngle: fireMode.leadAngle - ballistic.leadAngle
+    }
+  };
+}
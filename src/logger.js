@@ -0,0 +1,32 @@
+// Log levels in increasing verbosity
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+let currentLevel = LEVELS.indexOf('info');
+
+/**
+ * Set the log level
+ * @param {string} level - One of 'error', 'warn', 'info', 'debug'
+ */
+export function setLogLevel(level) {
+  const index = LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown log level "${level}" (expected ${LEVELS.join(', ')})`);
+  }
+  currentLevel = index;
+}
+
+/**
+ * Check whether messages at a level are currently printed
+ * @param {string} level - Log level
+ * @returns {boolean} True if enabled
+ */
+export function isLogLevelEnabled(level) {
+  return LEVELS.indexOf(level) <= currentLevel;
+}
+
+export const log = {
+  error: (...args) => { if (isLogLevelEnabled('error')) console.error(...args); },
+  warn: (...args) => { if (isLogLevelEnabled('warn')) console.warn(...args); },
+  info: (...args) => { if (isLogLevelEnabled('info')) console.log(...args); },
+  debug: (...args) => { if (isLogLevelEnabled('debug')) console.log(...args); },
+};
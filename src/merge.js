@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseConfig, serializeConfig, weaponKeys } from './cfgparser.js';
+import { MERGE } from './config.js';
+
+/**
+ * Merge generated weapons into an existing weapon list
+ * Existing order is kept: generated weapons replace their namesakes in place, weapons
+ * the generator owned last time but no longer produces are removed, pinned and unknown
+ * weapons are left untouched, and new weapons are appended. Without a manifest from a
+ * previous run (owned undefined) nothing is known to be generated, so weapons sharing a
+ * generated name are kept as hand-made instead of being overwritten.
+ * @param {Array} existing - Weapons parsed from the current file
+ * @param {Array} generated - Weapons parsed from the generator output
+ * @param {Object} options - {owned: string[] (names generated last run), pinned: string[]}
+ * @returns {Object} {weapons (replacements carry the weapon they replace as .replaces),
+ *   changes: {added, updated, unchanged, removed, pinned, kept, untracked}}
+ */
+export function mergeWeapons(existing, generated, options = {}) {
+  const hasManifest = options.owned !== undefined;
+  const owned = new Set(weaponKeys(options.owned ?? []));
+  const pinned = new Set(options.pinned ?? []);
+  const changes = { added: [], updated: [], unchanged: [], removed: [], pinned: [], kept: [], untracked: [] };
+
+  const generatedKeys = weaponKeys(generated.map(w => w.name));
+  const generatedByKey = new Map(generatedKeys.map((key, i) => [key, generated[i]]));
+  const existingKeys = weaponKeys(existing.map(w => w.name));
+
+  const weapons = [];
+  const used = new Set();
+
+  existing.forEach((weapon, i) => {
+    const key = existingKeys[i];
+
+    if (pinned.has(weapon.name)) {
+      weapons.push(weapon);
+      changes.pinned.push(key);
+    } else if (generatedByKey.has(key) && !hasManifest) {
+      weapons.push(weapon);
+      changes.untracked.push(key);
+      used.add(key);
+    } else if (generatedByKey.has(key)) {
+      const replacement = generatedByKey.get(key);
+      const isSame = serializeConfig([weapon]) === serializeConfig([replacement]);
+      weapons.push(isSame ? weapon : { ...replacement, replaces: weapon });
+      (isSame ? changes.unchanged : changes.updated).push(key);
+      used.add(key);
+    } else if (owned.has(key)) {
+      changes.removed.push(key);
+    } else {
+      weapons.push(weapon);
+      changes.kept.push(key);
+    }
+  });
+
+  generatedKeys.forEach((key, i) => {
+    if (used.has(key) || pinned.has(generated[i].name)) return;
+    weapons.push(generated[i]);
+    changes.added.push(key);
+  });
+
+  return { weapons, changes };
+}
+
+/**
+ * Write merged weapons over the existing file text
+ * Kept weapons and everything between weapons (comments, blank lines) stay byte for byte.
+ * Replaced weapons are swapped in place, removed ones are dropped with the blank lines
+ * after them, and new ones are appended.
+ * @param {string} text - Existing file contents
+ * @param {Array} existing - Weapons parsed from text
+ * @param {Array} weapons - Merged weapons from mergeWeapons
+ * @returns {string} Merged file contents
+ */
+function mergeText(text, existing, weapons) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  const kept = new Set(weapons);
+  const replacements = new Map(weapons.filter(w => w.replaces).map(w => [w.replaces, w]));
+  const added = weapons.filter(w => !w.replaces && !existing.includes(w));
+
+  const out = [];
+  let next = 0; // Next source line (0-based)
+  let removed = false;
+  for (const weapon of existing) {
+    out.push(...lines.slice(next, weapon.line - 1));
+    next = weapon.endLine;
+
+    if (kept.has(weapon)) {
+      out.push(...lines.slice(weapon.line - 1, weapon.endLine));
+    } else if (replacements.has(weapon)) {
+      out.push(serializeConfig([replacements.get(weapon)]));
+    } else {
+      removed = true;
+      while (next < lines.length && lines[next].trim() === '') next++;
+    }
+  }
+  out.push(...lines.slice(next));
+
+  let merged = out.join('\n');
+  if (added.length > 0 || removed) {
+    const body = merged.trimEnd();
+    merged = (body ? `${body}\n\n` : '') + serializeConfig(added);
+    merged = merged.trimEnd() + (/\n$/.test(text) ? '\n' : '');
+  }
+  return eol === '\n' ? merged : merged.replace(/\r?\n/g, eol);
+}
+
+/**
+ * Read the list of weapon names the generator wrote last time
+ * @param {string} outDir - Output directory
+ * @returns {Promise<Object>} Weapon names keyed by config file name
+ */
+export async function readManifest(outDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(outDir, MERGE.manifestFile), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+/**
+ * Record the weapon names the generator owns
+ * @param {string} outDir - Output directory
+ * @param {Object} manifest - Weapon names keyed by config file name
+ */
+export async function writeManifest(outDir, manifest) {
+  await fs.writeFile(path.join(outDir, MERGE.manifestFile), JSON.stringify(manifest, null, 2), 'utf-8');
+}
+
+/**
+ * Merge generated weapon configs into an existing config file
+ * Refuses to merge into a file with malformed blocks, since those would be lost.
+ * @param {string} filePath - Config file to update
+ * @param {string[]} configs - Generated weapon config XML strings
+ * @param {Object} options - {owned: string[] (undefined without a manifest), pinned: string[]}
+ * @returns {Promise<Object>} {text (merged file contents), changes, owned (weapon names for the new manifest)}
+ */
+export async function mergeConfigFile(filePath, configs, options = {}) {
+  const generated = parseConfig(configs.join('\n\n'));
+  if (generated.errors.length > 0) {
+    throw new Error(`Generated config is malformed: line ${generated.errors[0].line}: ${generated.errors[0].message}`);
+  }
+
+  let existingText = '';
+  try {
+    existingText = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const existing = parseConfig(existingText);
+  if (existing.errors.length > 0) {
+    const details = existing.errors.map(e => `  line ${e.line}: ${e.message}`).join('\n');
+    throw new Error(`Cannot merge into ${filePath}, fix these blocks first:\n${details}`);
+  }
+
+  const { weapons, changes } = mergeWeapons(existing.weapons, generated.weapons, {
+    owned: options.owned,
+    pinned: [...MERGE.pinned, ...(options.pinned ?? [])]
+  });
+
+  // Weapons kept as hand-made for lack of a manifest stay hand-made in the next one
+  const untracked = new Set(changes.untracked);
+  const owned = weaponKeys(generated.weapons.map(w => w.name))
+    .flatMap((key, i) => (untracked.has(key) ? [] : [generated.weapons[i].name]));
+
+  return { text: mergeText(existingText, existing.weapons, weapons), changes, owned };
+}
@@ -0,0 +1,133 @@
+import { normalizeForMatching } from './utils.js';
+import { log } from './logger.js';
+
+// Module parts, in the order they appear in a module id
+const MODULE_PARTS = ['hull', 'gun', 'fcs'];
+
+// Shell fields that change the generated config when they differ between modules
+const CONFIG_SHELL_FIELDS = ['muzzleVelocity', 'mass', 'dragCoefficient', 'caliber'];
+
+/**
+ * Build a module id from its parts
+ * @param {Object} module - {hull, gun, fcs} (missing parts are left out)
+ * @returns {string} e.g. "Yamato (B) / 460 mm/45 Type 94 / Type 98 mod. 2", or "default" without parts
+ */
+export function moduleId(module) {
+  const parts = MODULE_PARTS.map(part => module[part]).filter(Boolean);
+  return parts.length > 0 ? parts.join(' / ') : 'default';
+}
+
+/**
+ * Pick the top configuration of a ship: the module with the longest range
+ * Ties go to the module listed last, as tables list stock modules first.
+ * @param {Array} modules - [{id, baseMaxRange, shells}]
+ * @returns {Object} Module
+ */
+export function pickTopModule(modules) {
+  return modules.reduce((top, module) => (module.baseMaxRange >= top.baseMaxRange ? module : top));
+}
+
+/**
+ * Find a ship's module by id or by one of its parts (hull, gun or FCS name)
+ * If a part name matches several modules, the top one of those is used.
+ * @param {Object} data - Ship data entry with modules
+ * @param {string} name - Module id or part name
+ * @returns {Object|null} Module, or null if the ship has no such module
+ */
+export function findModule(data, name) {
+  const wanted = normalizeForMatching(name);
+  const modules = data.modules ?? [];
+
+  const exact = modules.find(module => normalizeForMatching(module.id) === wanted);
+  if (exact) return exact;
+
+  const matches = modules.filter(module =>
+    MODULE_PARTS.some(part => module[part] && normalizeForMatching(module[part]) === wanted));
+  return matches.length > 0 ? pickTopModule(matches) : null;
+}
+
+/**
+ * Use a module's range, shells and dispersion for a ship
+ * @param {Object} data - Ship data entry (modified)
+ * @param {Object} module - Module from data.modules
+ */
+export function applyModule(data, module) {
+  data.module = module.id;
+  data.baseMaxRange = module.baseMaxRange;
+  data.shells = structuredClone(module.shells);
+  if (module.dispersion) {
+    data.dispersion = { ...module.dispersion };
+  } else {
+    delete data.dispersion;
+  }
+}
+
+/**
+ * Differences between a module and the selected configuration that change the generated config
+ * @param {Object} data - Ship data entry (selected configuration)
+ * @param {Object} module - Module to compare
+ * @returns {string[]} Differences, e.g. "range 23.6 km vs 26.5 km", "no sap shell"
+ */
+function configDifferences(data, module) {
+  const changes = [];
+
+  if (module.baseMaxRange !== data.baseMaxRange) {
+    changes.push(`range ${module.baseMaxRange} km vs ${data.baseMaxRange} km`);
+  }
+
+  const shellTypes = new Set([...Object.keys(data.shells), ...Object.keys(module.shells)]);
+  for (const shellType of shellTypes) {
+    const selected = data.shells[shellType];
+    const other = module.shells[shellType];
+    if (!other) {
+      changes.push(`no ${shellType} shell`);
+    } else if (!selected) {
+      changes.push(`has a ${shellType} shell`);
+    } else {
+      for (const field of CONFIG_SHELL_FIELDS) {
+        if (other[field] !== selected[field]) {
+          changes.push(`${shellType}.${field} ${other[field]} vs ${selected[field]}`);
+        }
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Find ships whose modules would generate a different config than the selected one
+ * @param {Object} shipData - Ship data keyed by ship name
+ * @returns {Array} [{ship, selected, modules: [{id, changes: string[]}]}] (only modules with changes)
+ */
+export function findModuleDifferences(shipData) {
+  const ships = [];
+
+  for (const [shipName, data] of Object.entries(shipData)) {
+    if (!data.modules || data.modules.length < 2) continue;
+
+    const modules = data.modules
+      .filter(module => module.id !== data.module)
+      .map(module => ({ id: module.id, changes: configDifferences(data, module) }))
+      .filter(module => module.changes.length > 0);
+
+    if (modules.length > 0) ships.push({ ship: shipName, selected: data.module, modules });
+  }
+
+  return ships;
+}
+
+/**
+ * Log module differences
+ * @param {Array} differences - Result of findModuleDifferences
+ */
+export function logModuleDifferences(differences) {
+  for (const { ship, selected, modules } of differences) {
+    log.info(`  [MODULES] ${ship}: using ${selected}`);
+    for (const module of modules) {
+      log.info(`      ${module.id}: ${module.changes.join(', ')}`);
+    }
+  }
+
+  log.info(`\n${differences.length} ships have modules that change the generated config`);
+}
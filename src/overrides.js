@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { normalizeForMatching } from './utils.js';
+import { findModule, applyModule } from './modules.js';
+import { log } from './logger.js';
+
+const SHIP_CLASSES = ['BB', 'CA', 'CB', 'CL', 'DD', 'SS', 'CV'];
+const SHELL_TYPES = ['ap', 'he', 'sap'];
+const SHELL_FIELDS = ['muzzleVelocity', 'mass', 'dragCoefficient', 'caliber'];
+
+// Field checks: each returns an error message or null
+const isPositive = value => (typeof value === 'number' && value > 0 ? null : 'expected a positive number');
+const isNumber = value => (typeof value === 'number' && Number.isFinite(value) ? null : 'expected a number');
+const isBoolean = value => (typeof value === 'boolean' ? null : 'expected true or false');
+const isString = value => (typeof value === 'string' && value.trim() !== '' ? null : 'expected a non-empty string');
+
+// Per-ship override schema
+const SHIP_SCHEMA = {
+  class: value => (SHIP_CLASSES.includes(value) ? null : `expected one of ${SHIP_CLASSES.join(', ')}`),
+  nation: isString,
+  tier: value => (Number.isInteger(value) && value >= 1 && value <= 11 ? null : 'expected a tier from 1 to 11'),
+  module: isString,
+  baseMaxRange: isPositive,
+  hasSpotter: isBoolean,
+  rangeMultiplier: isPositive,
+  weaponName: value => (typeof value === 'string' && /^\w+$/.test(value) ? null : 'expected letters, digits and underscores only'),
+  exclude: isBoolean,
+  pitch: 'pitch',
+  shells: 'shells',
+};
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate an overrides document against the schema
+ * @param {Object} overrides - Parsed overrides file
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateOverrides(overrides) {
+  const errors = [];
+
+  if (!isObject(overrides)) return ['root: expected an object'];
+  for (const key of Object.keys(overrides)) {
+    if (key !== 'ships') errors.push(`${key}: unknown key (expected "ships")`);
+  }
+  if (overrides.ships === undefined) return errors;
+  if (!isObject(overrides.ships)) return [...errors, 'ships: expected an object keyed by ship name'];
+
+  for (const [shipName, ship] of Object.entries(overrides.ships)) {
+    const at = `ships.${shipName}`;
+    if (!isObject(ship)) {
+      errors.push(`${at}: expected an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(ship)) {
+      const check = SHIP_SCHEMA[key];
+      if (!check) {
+        errors.push(`${at}.${key}: unknown field`);
+      } else if (check === 'pitch' || check === 'shells') {
+        if (!isObject(value)) {
+          errors.push(`${at}.${key}: expected an object keyed by shell type`);
+          continue;
+        }
+        for (const [shellType, shellValue] of Object.entries(value)) {
+          if (!SHELL_TYPES.includes(shellType)) {
+            errors.push(`${at}.${key}.${shellType}: unknown shell type (expected ${SHELL_TYPES.join(', ')})`);
+          } else if (check === 'pitch') {
+            const message = isNumber(shellValue);
+            if (message) errors.push(`${at}.pitch.${shellType}: ${message}`);
+          } else if (!isObject(shellValue)) {
+            errors.push(`${at}.shells.${shellType}: expected an object`);
+          } else {
+            for (const [field, fieldValue] of Object.entries(shellValue)) {
+              const message = SHELL_FIELDS.includes(field) ? isPositive(fieldValue) : 'unknown field';
+              if (message) errors.push(`${at}.shells.${shellType}.${field}: ${message}`);
+            }
+          }
+        }
+      } else {
+        const message = check(value);
+        if (message) errors.push(`${at}.${key}: ${message}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read an overrides file (JSON, or YAML for .yml / .yaml)
+ * @param {string} filePath - Overrides file path
+ * @returns {Promise<Object>} Validated overrides
+ */
+export async function loadOverrides(filePath) {
+  const raw = await fs.readFile(filePath, 'utf-8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  let overrides;
+  if (ext === '.yml' || ext === '.yaml') {
+    // Loaded lazily, only YAML overrides need the parser
+    const { parse } = await import('yaml');
+    overrides = parse(raw) ?? {};
+  } else {
+    overrides = JSON.parse(raw);
+  }
+
+  const errors = validateOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides file ${filePath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return overrides;
+}
+
+/**
+ * Apply overrides to ship data
+ * Ships not in the data are added if the override is complete (class, baseMaxRange and
+ * at least one shell with all fields).
+ * @param {Object} shipData - Ship data keyed by ship name (not modified)
+ * @param {Object} overrides - Validated overrides
+ * @returns {Object} {shipData, applied: string[]} (patched copy and a log of what changed)
+ */
+export function applyOverrides(shipData, overrides) {
+  const result = structuredClone(shipData);
+  const applied = [];
+  const byMatchName = new Map(Object.keys(result).map(name => [normalizeForMatching(name), name]));
+
+  for (const [overrideName, ship] of Object.entries(overrides.ships ?? {})) {
+    let shipName = byMatchName.get(normalizeForMatching(overrideName));
+
+    if (!shipName) {
+      const shells = Object.entries(ship.shells ?? {})
+        .filter(([, shell]) => SHELL_FIELDS.every(field => field in shell));
+      if (!ship.class || !ship.baseMaxRange || shells.length === 0) {
+        log.warn(`  [OVERRIDE] ${overrideName}: not in ship data and not a complete ship, ignored`);
+        continue;
+      }
+      if (ship.exclude) continue;
+
+      shipName = overrideName;
+      result[shipName] = { class: ship.class, nation: '', baseMaxRange: ship.baseMaxRange, hasSpotter: false, shells: {} };
+      applied.push(`${shipName}: added`);
+    }
+
+    const data = result[shipName];
+
+    if (ship.exclude) {
+      delete result[shipName];
+      applied.push(`${shipName}: excluded`);
+      continue;
+    }
+
+    // Module choice first, so explicit range and shell overrides apply on top of it
+    if (ship.module !== undefined) {
+      const module = findModule(data, ship.module);
+      if (!module) {
+        log.warn(`  [OVERRIDE] ${shipName}: no module "${ship.module}" (available: ${(data.modules ?? []).map(m => m.id).join('; ') || 'none'}), ignored`);
+      } else if (module.id !== data.module) {
+        applied.push(`${shipName}: module ${data.module} -> ${module.id}`);
+        applyModule(data, module);
+      }
+    }
+
+    for (const key of ['class', 'nation', 'tier', 'baseMaxRange', 'hasSpotter', 'rangeMultiplier', 'weaponName']) {
+      if (ship[key] !== undefined && ship[key] !== data[key]) {
+        applied.push(`${shipName}: ${key} ${data[key] === undefined ? 'unset' : JSON.stringify(data[key])} -> ${JSON.stringify(ship[key])}`);
+        data[key] = ship[key];
+      }
+    }
+
+    for (const [shellType, pitch] of Object.entries(ship.pitch ?? {})) {
+      data.pitch = { ...data.pitch, [shellType]: pitch };
+      applied.push(`${shipName}: ${shellType} pitch -> ${pitch}`);
+    }
+
+    for (const [shellType, shell] of Object.entries(ship.shells ?? {})) {
+      if (!data.shells[shellType] && !SHELL_FIELDS.every(field => field in shell)) {
+        log.warn(`  [OVERRIDE] ${shipName}: no ${shellType} shell to patch and override is incomplete, ignored`);
+        continue;
+      }
+      data.shells[shellType] = data.shells[shellType] ?? {};
+      for (const [field, value] of Object.entries(shell)) {
+        if (value !== data.shells[shellType][field]) {
+          applied.push(`${shipName}: ${shellType}.${field} ${data.shells[shellType][field] ?? 'unset'} -> ${value}`);
+          data.shells[shellType][field] = value;
+        }
+      }
+    }
+  }
+
+  return { shipData: result, applied };
+}
@@ -1,4 +1,7 @@
-import { PHYSICS, MODIFIERS } from './config.js';
+import { PHYSICS, ENGINE, PENETRATION, RANGE_MODIFIERS, PROFILES } from './config.js';
+
+// Launch angle sweeps per shell (see getTrajectoryTable), dropped with the shell object
+const trajectoryTables = new WeakMap();
 
 /**
  * Calculate air density at altitude using atmospheric model
@@ -79,14 +82,136 @@ function rk4Step(state, dt, k) {
   };
 }
 
+// Dormand–Prince 5(4) tableau: nodes, stage weights, 5th order weights and error weights
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const DP_A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const DP_E = [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40];
+
+/**
+ * Derivatives as an array, for the adaptive integrator
+ * @param {number[]} s - State [x, y, vx, vy]
+ * @param {number} k - Combined drag factor
+ * @returns {number[]} Derivatives [dx, dy, dvx, dvy]
+ */
+function derivativesArray(s, k) {
+  const d = derivatives({ x: s[0], y: s[1], vx: s[2], vy: s[3] }, k);
+  return [d.dx, d.dy, d.dvx, d.dvy];
+}
+
+/**
+ * Perform one Dormand–Prince step
+ * @param {number[]} s - Current state [x, y, vx, vy]
+ * @param {number[]} f - Derivatives at s (first stage, reused from the previous step)
+ * @param {number} h - Step size in seconds
+ * @param {number} k - Combined drag factor
+ * @returns {Object} {state, deriv (at the new state), error (per component)}
+ */
+function dopriStep(s, f, h, k) {
+  const stages = [f];
+  let state = s;
+
+  for (let i = 1; i < DP_C.length; i++) {
+    state = s.map((value, n) => value + h * DP_A[i].reduce((sum, a, j) => sum + a * stages[j][n], 0));
+    stages.push(derivativesArray(state, k));
+  }
+
+  // The last stage is the derivative at the new state (first same as last)
+  const error = s.map((_, n) => h * DP_E.reduce((sum, e, j) => sum + e * stages[j][n], 0));
+  return { state, deriv: stages[stages.length - 1], error };
+}
+
+/**
+ * Cubic Hermite interpolation of a state within a step
+ * @param {number[]} s0 - State at the start of the step
+ * @param {number[]} f0 - Derivatives at the start
+ * @param {number[]} s1 - State at the end of the step
+ * @param {number[]} f1 - Derivatives at the end
+ * @param {number} h - Step size
+ * @param {number} theta - Position within the step (0-1)
+ * @returns {number[]} Interpolated state
+ */
+function hermite(s0, f0, s1, f1, h, theta) {
+  const t2 = theta * theta;
+  const t3 = t2 * theta;
+  const h00 = 2 * t3 - 3 * t2 + 1;
+  const h10 = t3 - 2 * t2 + theta;
+  const h01 = -2 * t3 + 3 * t2;
+  const h11 = t3 - t2;
+  return s0.map((value, n) => h00 * value + h10 * h * f0[n] + h01 * s1[n] + h11 * h * f1[n]);
+}
+
+/**
+ * Integrate to the water surface with adaptive Dormand–Prince steps
+ * The crossing is located on the Hermite interpolant of the last step, then reached
+ * with one exact step from the step start.
+ * @param {number[]} s - Initial state [x, y, vx, vy]
+ * @param {number} k - Combined drag factor
+ * @param {number} tolerance - Relative (and absolute) error tolerance per step
+ * @param {Array} [path] - Receives {x, y} after every accepted step
+ * @returns {Object} {state: [x, y, vx, vy] at y = 0, time}
+ */
+function integrateDopri(s, k, tolerance, path) {
+  let f = derivativesArray(s, k);
+  let time = 0;
+  let h = 0.1;
+
+  while (time < 120) {
+    const step = dopriStep(s, f, h, k);
+    const norm = Math.sqrt(step.error.reduce((sum, e, n) => {
+      const scale = tolerance + tolerance * Math.max(Math.abs(s[n]), Math.abs(step.state[n]));
+      return sum + (e / scale) ** 2;
+    }, 0) / s.length);
+
+    if (norm <= 1) {
+      if (step.state[1] < 0) {
+        // Bisect the interpolated height for the crossing, then step there exactly
+        let low = 0, high = 1;
+        for (let i = 0; i < 50; i++) {
+          const mid = (low + high) / 2;
+          if (hermite(s, f, step.state, step.deriv, h, mid)[1] >= 0) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        const theta = (low + high) / 2;
+        const state = dopriStep(s, f, h * theta, k).state;
+        path?.push({ x: state[0], y: state[1] });
+        return { state, time: time + h * theta };
+      }
+
+      s = step.state;
+      f = step.deriv;
+      time += h;
+      path?.push({ x: s[0], y: s[1] });
+    }
+
+    h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(norm || 1e-10, -0.2)));
+  }
+
+  return { state: s, time };
+}
+
 /**
  * Simulate shell trajectory
+ * 'dopri5' stops exactly at the water surface; 'rk4' uses fixed steps and stops on the
+ * first step below it (the original behaviour).
  * @param {number} launchAngleDeg - Launch angle in degrees
  * @param {Object} shellParams - Shell parameters {muzzleVelocity, caliber, mass, dragCoefficient}
- * @returns {Object} Trajectory result {range, flightTime, adjustedFlightTime, impactAngle, impactVelocity}
+ * @param {Object} options - {integrator, tolerance, dt} (default from PHYSICS), trace (also return the path)
+ * @returns {Object} Trajectory result {range, flightTime, adjustedFlightTime, impactAngle, impactVelocity, path (with trace: [{x, y}] in m)}
  */
-export function simulateTrajectory(launchAngleDeg, shellParams) {
+export function simulateTrajectory(launchAngleDeg, shellParams, options = {}) {
   const { muzzleVelocity, caliber, mass, dragCoefficient } = shellParams;
+  const integrator = options.integrator ?? PHYSICS.integrator;
   const k = getCombinedDrag(dragCoefficient, caliber / 1000, mass); // caliber mm -> m
   const angleRad = launchAngleDeg * Math.PI / 180;
 
@@ -96,22 +221,36 @@ export function simulateTrajectory(launchAngleDeg, shellParams) {
     vx: muzzleVelocity * Math.cos(angleRad),
     vy: muzzleVelocity * Math.sin(angleRad)
   };
-
-  const dt = 0.02; // time step (seconds)
   let time = 0;
+  const path = options.trace ? [{ x: 0, y: 0 }] : undefined;
 
-  while (state.y >= 0 && time < 120) {
-    state = rk4Step(state, dt, k);
-    time += dt;
+  if (integrator === 'dopri5') {
+    const result = integrateDopri([state.x, state.y, state.vx, state.vy], k, options.tolerance ?? PHYSICS.tolerance, path);
+    const [x, y, vx, vy] = result.state;
+    state = { x, y, vx, vy };
+    time = result.time;
+  } else if (integrator === 'rk4') {
+    const dt = options.dt ?? PHYSICS.dt; // time step (seconds)
+
+    while (state.y >= 0 && time < 120) {
+      state = rk4Step(state, dt, k);
+      time += dt;
+      path?.push({ x: state.x, y: state.y });
+    }
+  } else {
+    throw new Error(`Unknown integrator "${integrator}" (expected dopri5 or rk4)`);
   }
 
-  return {
+  const result = {
     range: state.x,                                              // horizontal distance (m)
     flightTime: time,                                            // raw flight time (s)
     adjustedFlightTime: time / PHYSICS.timeMultiplier,           // game-adjusted time
     impactAngle: Math.atan2(-state.vy, state.vx) * 180 / Math.PI, // degrees
     impactVelocity: Math.sqrt(state.vx * state.vx + state.vy * state.vy)
   };
+  if (path) result.path = path;
+
+  return result;
 }
 
 /**
@@ -136,18 +275,123 @@ export function findLaunchAngle(targetRangeMeters, shellParams) {
   return (low + high) / 2;
 }
 
+/**
+ * Get the launch angle sweep for a shell, extended until it covers the target range
+ * Rows are spaced ENGINE.angleStepDeg apart, starting at a 0° row (range 0, muzzle velocity),
+ * and the sweep stops for good at 45° or once range stops increasing. A complete table also
+ * keeps the exact 45° shot, which findLaunchAngle converges to for ranges beyond reach.
+ * @param {Object} shellParams - Shell parameters
+ * @param {number} targetRangeMeters - Range the table must reach
+ * @returns {Object} Table {rows: [{angle, range, flightTime, impactAngle, impactVelocity}] sorted by range,
+ *   complete, top (45° row once complete)}
+ */
+export function getTrajectoryTable(shellParams, targetRangeMeters) {
+  let table = trajectoryTables.get(shellParams);
+  if (!table) {
+    table = {
+      rows: [{ angle: 0, range: 0, flightTime: 0, impactAngle: 0, impactVelocity: shellParams.muzzleVelocity }],
+      complete: false,
+      top: null
+    };
+    trajectoryTables.set(shellParams, table);
+  }
+
+  const { rows } = table;
+  const row = (angle, result) => ({
+    angle,
+    range: result.range,
+    flightTime: result.adjustedFlightTime,
+    impactAngle: result.impactAngle,
+    impactVelocity: result.impactVelocity
+  });
+
+  while (!table.complete && rows[rows.length - 1].range < targetRangeMeters) {
+    const angle = rows.length * ENGINE.angleStepDeg;
+    if (angle > 45) {
+      table.complete = true;
+      break;
+    }
+
+    const result = simulateTrajectory(angle, shellParams);
+    if (result.range <= rows[rows.length - 1].range) {
+      table.complete = true;
+      if (angle === 45) table.top = row(45, result);
+      break;
+    }
+
+    rows.push(row(angle, result));
+  }
+
+  if (table.complete && !table.top) {
+    const last = rows[rows.length - 1];
+    table.top = last.angle === 45 ? last : row(45, simulateTrajectory(45, shellParams));
+  }
+
+  return table;
+}
+
+/**
+ * Interpolate ballistics from the trajectory table
+ * Ranges beyond the shell's reach get the 45° shot, as findLaunchAngle does.
+ * @param {number} targetRangeMeters - Target range in meters
+ * @param {Object} shellParams - Shell parameters
+ * @returns {Object} Ballistics data {launchAngle, flightTime, impactAngle, impactVelocity}
+ */
+function interpolateBallistics(targetRangeMeters, shellParams) {
+  const { rows, top } = getTrajectoryTable(shellParams, targetRangeMeters);
+
+  let low = 0, high = rows.length - 1;
+  if (top && targetRangeMeters > rows[high].range) {
+    return {
+      launchAngle: top.angle,
+      flightTime: top.flightTime,
+      impactAngle: top.impactAngle,
+      impactVelocity: top.impactVelocity
+    };
+  }
+
+  // First row at or beyond the target range
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (rows[mid].range < targetRangeMeters) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const a = rows[low];
+  const b = rows[high];
+  const t = b.range > a.range ? Math.max(0, (targetRangeMeters - a.range) / (b.range - a.range)) : 0;
+  const lerp = key => a[key] + (b[key] - a[key]) * t;
+
+  return {
+    launchAngle: lerp('angle'),
+    flightTime: lerp('flightTime'),
+    impactAngle: lerp('impactAngle'),
+    impactVelocity: lerp('impactVelocity')
+  };
+}
+
 /**
  * Get ballistics at a specific range
+ * Uses the trajectory table by default (ENGINE.mode 'table'); 'bisect' runs the
+ * launch angle search and a full simulation for every call.
  * @param {number} targetRangeKm - Target range in kilometers
  * @param {Object} shellParams - Shell parameters
- * @returns {Object} Ballistics data {flightTime, impactAngle, impactVelocity}
+ * @returns {Object} Ballistics data {launchAngle, flightTime, impactAngle, impactVelocity}
  */
 export function getBallisticsAtRange(targetRangeKm, shellParams) {
   const targetRangeM = targetRangeKm * 1000;
+  if (ENGINE.mode === 'table') {
+    return interpolateBallistics(targetRangeM, shellParams);
+  }
+
   const launchAngle = findLaunchAngle(targetRangeM, shellParams);
   const result = simulateTrajectory(launchAngle, shellParams);
 
   return {
+    launchAngle,
     flightTime: result.adjustedFlightTime,  // Use game-adjusted time
     impactAngle: result.impactAngle,
     impactVelocity: result.impactVelocity
@@ -155,36 +399,139 @@ export function getBallisticsAtRange(targetRangeKm, shellParams) {
 }
 
 /**
- * Calculate modified range based on ship class and modifiers
- * @param {number} baseMaxRange - Base max range in km
- * @param {string} shipClass - Ship class (BB, CA, CB, CL, DD, SS, CV)
- * @param {boolean} hasSpotter - Whether ship has spotter plane
- * @param {string} shipName - Ship name for unique upgrades
- * @param {string} nation - Ship nation (e.g., 'USA', 'Japan', etc.)
- * @returns {number} Modified max range in km
+ * Calculate raw (flat plate, 0°) AP penetration
+ * @param {Object} shellParams - Shell parameters {caliber, mass, krupp}
+ * @param {number} impactVelocity - Impact velocity in m/s
+ * @returns {number} Penetration in mm
+ */
+export function calculatePenetration(shellParams, impactVelocity) {
+  const { caliber, mass, krupp } = shellParams;
+  return PENETRATION.coefficient * (krupp / PENETRATION.kruppReference) *
+    Math.pow(mass, PENETRATION.massExponent) *
+    Math.pow(caliber / 1000, PENETRATION.caliberExponent) * // caliber mm -> m
+    Math.pow(impactVelocity, PENETRATION.velocityExponent);
+}
+
+/**
+ * Target angling (from broadside) at which a belt hit starts / always ricochets
+ * The angle between shell and belt normal combines fall angle and angling:
+ * cos(incidence) = cos(fall) * cos(angling).
+ * @param {number} fallAngle - Impact angle in degrees (from horizontal)
+ * @param {number} ricochetAngle - Ricochet angle in degrees (from plate normal)
+ * @returns {number} Target angling in degrees (0 if the fall angle alone exceeds it)
+ */
+function ricochetAngling(fallAngle, ricochetAngle) {
+  const ratio = Math.cos(ricochetAngle * Math.PI / 180) / Math.cos(fallAngle * Math.PI / 180);
+  return ratio >= 1 ? 0 : Math.acos(ratio) * 180 / Math.PI;
+}
+
+/**
+ * Get AP penetration and ricochet data at a specific range
+ * Belt is a vertical plate hit broadside, deck a horizontal one; normalization reduces
+ * the angle from the plate normal before penetration is applied. Ricochet checks use
+ * the angle before normalization.
+ * @param {number} targetRangeKm - Target range in kilometers
+ * @param {Object} shellParams - Shell parameters with krupp, normalization, ricochetStart, ricochetAlways
+ * @returns {Object|null} {impactAngle, impactVelocity, penetration, beltPenetration, deckPenetration,
+ *   ricochetWindow: {start, always}, deckRicochet} or null if the shell has no Krupp value
  */
-export function calculateModifiedRange(baseMaxRange, shipClass, hasSpotter, shipName, nation) {
-  let maxRange = baseMaxRange;
+export function getPenetrationAtRange(targetRangeKm, shellParams) {
+  if (!shellParams.krupp) return null;
 
-  // Apply Artillery Plotting Room Mod 1 for USN BBs (+16%)
-  if (nation === 'U.S.A.' && shipClass === 'BB') {
-    maxRange = baseMaxRange * MODIFIERS.aprm1Multiplier;
+  const { impactAngle, impactVelocity } = getBallisticsAtRange(targetRangeKm, shellParams);
+  const normalization = shellParams.normalization ?? 0;
+  const penetration = calculatePenetration(shellParams, impactVelocity);
+  const effective = angle => penetration * Math.cos(Math.max(0, angle - normalization) * Math.PI / 180);
+
+  const deckAngle = 90 - impactAngle;
+  let deckRicochet = 'none';
+  if (shellParams.ricochetAlways && deckAngle >= shellParams.ricochetAlways) {
+    deckRicochet = 'always';
+  } else if (shellParams.ricochetStart && deckAngle >= shellParams.ricochetStart) {
+    deckRicochet = 'chance';
   }
 
-  // Apply class-specific modifiers
-  if (shipClass === 'DD') {
-    // All destroyers get AFT (+20%)
-    maxRange = baseMaxRange * MODIFIERS.aftMultiplier;
-  } else if (['BB', 'CA', 'CB', 'CL'].includes(shipClass) && hasSpotter) {
-    // BBs/CAs/CBs/CLs with spotter plane (+20%)
-    maxRange *= MODIFIERS.spotterMultiplier;
+  return {
+    impactAngle,
+    impactVelocity,
+    penetration,
+    beltPenetration: effective(impactAngle),
+    deckPenetration: effective(deckAngle),
+    ricochetWindow: shellParams.ricochetStart && shellParams.ricochetAlways
+      ? {
+          start: ricochetAngling(impactAngle, shellParams.ricochetStart),
+          always: ricochetAngling(impactAngle, shellParams.ricochetAlways)
+        }
+      : null,
+    deckRicochet
+  };
+}
+
+/**
+ * Look up a loadout profile
+ * @param {string} name - Profile name (key of PROFILES)
+ * @returns {Object} Profile {label, modifiers, suffix}
+ */
+export function getProfile(name) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}" (available: ${Object.keys(PROFILES).join(', ')})`);
   }
+  return profile;
+}
 
-  // Apply unique upgrade modifier if applicable
-  const uniqueMultiplier = MODIFIERS.uniqueUpgrades?.[shipName];
-  if (uniqueMultiplier) {
-    maxRange *= uniqueMultiplier;
+/**
+ * Multiplier of one range modifier for a ship
+ * @param {Object} modifier - Entry of RANGE_MODIFIERS
+ * @param {Object} ship - {shipClass, hasSpotter, shipName, nation, battery ('main' or 'secondary', default 'main')}
+ * @returns {number|null} Multiplier, or null if the modifier doesn't apply
+ */
+function modifierMultiplier(modifier, ship) {
+  if ((modifier.battery ?? 'main') !== (ship.battery ?? 'main')) return null;
+  if (modifier.classes && !modifier.classes.includes(ship.shipClass)) return null;
+  if (modifier.nations && !modifier.nations.includes(ship.nation)) return null;
+  if (modifier.spotter && !ship.hasSpotter) return null;
+  if (modifier.ships) return modifier.ships[ship.shipName] ?? null;
+  return modifier.multiplier;
+}
+
+/**
+ * Range modifiers of a profile that apply to a ship, after the stacking rules
+ * Only the largest modifier per group applies; the result is in RANGE_MODIFIERS order.
+ * @param {Object} ship - {shipClass, hasSpotter, shipName, nation, battery ('main' or 'secondary', default 'main')}
+ * @param {Object} profile - Profile {modifiers: string[]}
+ * @returns {Array} [{id, multiplier}]
+ */
+export function resolveRangeModifiers(ship, profile) {
+  const byGroup = new Map();
+
+  for (const [id, modifier] of Object.entries(RANGE_MODIFIERS)) {
+    if (!profile.modifiers.includes(id)) continue;
+
+    const multiplier = modifierMultiplier(modifier, ship);
+    if (multiplier === null) continue;
+
+    const current = byGroup.get(modifier.group);
+    if (!current || multiplier > current.multiplier) {
+      byGroup.set(modifier.group, { id, multiplier });
+    }
   }
 
-  return maxRange;
+  return [...byGroup.values()];
+}
+
+/**
+ * Calculate modified range based on ship class and the profile's range modifiers
+ * @param {number} baseMaxRange - Base max range in km
+ * @param {string} shipClass - Ship class (BB, CA, CB, CL, DD, SS, CV)
+ * @param {boolean} hasSpotter - Whether ship has spotter plane
+ * @param {string} shipName - Ship name for unique upgrades
+ * @param {string} nation - Ship nation (e.g., 'U.S.A.', 'Japan', etc.)
+ * @param {Object} [profile] - Loadout profile (default PROFILES.default)
+ * @param {string} [battery] - 'main' or 'secondary' (which modifiers apply)
+ * @returns {number} Modified max range in km
+ */
+export function calculateModifiedRange(baseMaxRange, shipClass, hasSpotter, shipName, nation, profile = PROFILES.default, battery = 'main') {
+  const modifiers = resolveRangeModifiers({ shipClass, hasSpotter, shipName, nation, battery }, profile);
+  return modifiers.reduce((maxRange, { multiplier }) => maxRange * multiplier, baseMaxRange);
 }
@@ -0,0 +1,560 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { getBallisticsAtRange, getPenetrationAtRange, calculateModifiedRange, getProfile, resolveRangeModifiers } from './physics.js';
+import { calculateFactor, normalizeForMatching, normalizeShipName } from './utils.js';
+import { saveSnapshot, loadSnapshot } from './snapshot.js';
+import { buildRangeBands } from './bands.js';
+import { getDispersionAtRange, hitProbability } from './dispersion.js';
+import { loadOverrides, applyOverrides } from './overrides.js';
+import { findModuleDifferences, logModuleDifferences } from './modules.js';
+import { calculateTorpedoes } from './torpedoes.js';
+import { logScrapeReport, writeScrapeReport } from './scrapereport.js';
+import { loadGameParams, crossCheck, logCrossCheck, writeCrossCheck } from './gameparams.js';
+import { getWriter } from './writers.js';
+import { ENGINE, OUTPUT, SECONDARIES } from './config.js';
+import { log } from './logger.js';
+
+export const SUMMARY_FILE = '_summary.json';
+
+/**
+ * Phase 1: Scrape ship, sonar and torpedo data and save them as a snapshot
+ * @param {string} snapshotPath - Where to write the snapshot
+ * @param {Object} [options] - Options {concurrency (pages at once, default SCRAPER.concurrency),
+ *   outDir (where to write the scrape report; not written if omitted)}
+ * @returns {Promise<Object>} {shipData, sonarData, torpedoData}
+ */
+export async function scrapePhase(snapshotPath, options = {}) {
+  // Loaded lazily so offline runs don't need puppeteer/Chromium
+  const { openSession, scrapeShipData, validateScrapedData, scrapeSonarData, scrapeTorpedoData } = await import('./scraper.js');
+
+  // 1. Scrape ship data (surface ships and submarines), sonar and torpedoes in one browser session
+  log.info('Phase 1: Scraping ship, sonar and torpedo data from shiptool.st...\n');
+  const session = await openSession({ concurrency: options.concurrency });
+  let shipData, sonarData, torpedoData;
+  try {
+    [shipData, sonarData, torpedoData] = await Promise.all([
+      scrapeShipData(session),
+      scrapeSonarData(session),
+      scrapeTorpedoData(session)
+    ]);
+  } finally {
+    await session.close();
+
+    // Report failed tables and dropped rows, also when a required table failed
+    log.info('\nScrape report:');
+    logScrapeReport(session.report);
+    if (options.outDir) {
+      // Logged, not thrown: a failed report write must not replace a scrape error
+      try {
+        await writeScrapeReport(session.report, options.outDir);
+      } catch (err) {
+        log.error(`  Could not write the scrape report: ${err.message}`);
+      }
+    }
+  }
+
+  // Validate scraped data
+  const issues = validateScrapedData(shipData);
+  if (issues.length > 0) {
+    log.warn('\nData validation issues:');
+    issues.forEach(issue => log.warn(`  - ${issue}`));
+    log.warn('');
+  }
+
+  // Ships whose other modules would change the config (pick one in the overrides file)
+  const moduleDifferences = findModuleDifferences(shipData);
+  if (moduleDifferences.length > 0) {
+    log.info('\nModule differences:');
+    logModuleDifferences(moduleDifferences);
+  }
+
+  // 1b. Save raw data so later runs can skip scraping
+  await saveSnapshot(snapshotPath, shipData, sonarData, torpedoData);
+  log.info(`\n  Written: ${snapshotPath}`);
+
+  return { shipData, sonarData, torpedoData };
+}
+
+/**
+ * Phase 1 (GameParams): Import ship and sonar data from a GameParams dump and save them as a snapshot
+ * @param {string} gameParamsPath - GameParams JSON file
+ * @param {string} snapshotPath - Where to write the snapshot
+ * @param {Object} [options] - Options {namesPath (display names file), crossCheck (snapshot to compare with),
+ *   outDir (where to write the cross-check; not written if omitted)}
+ * @returns {Promise<Object>} {shipData, sonarData, torpedoData}
+ */
+export async function importPhase(gameParamsPath, snapshotPath, options = {}) {
+  const { validateScrapedData } = await import('./scraper.js');
+
+  log.info(`Phase 1: Importing ship and sonar data from ${gameParamsPath}...\n`);
+  const { shipData, sonarData } = await loadGameParams(gameParamsPath, options.namesPath);
+  log.info(`  ${Object.keys(shipData).length} ships, ${Object.keys(sonarData).length} submarines (no secondaries or torpedoes)`);
+
+  const issues = validateScrapedData(shipData);
+  if (issues.length > 0) {
+    log.warn('\nData validation issues:');
+    issues.forEach(issue => log.warn(`  - ${issue}`));
+    log.warn('');
+  }
+
+  // Compare with a scrape before the snapshot is written (it may be the same file)
+  if (options.crossCheck) {
+    log.info(`\nCross-checking against ${options.crossCheck}...`);
+    const result = crossCheck({ shipData, sonarData }, await loadSnapshot(options.crossCheck));
+    logCrossCheck(result);
+    if (options.outDir) await writeCrossCheck(result, options.outDir);
+  }
+
+  await saveSnapshot(snapshotPath, shipData, sonarData, {}, gameParamsPath);
+  log.info(`\n  Written: ${snapshotPath}`);
+
+  return { shipData, sonarData, torpedoData: {} };
+}
+
+/**
+ * Phase 1 (offline): Read ship and sonar data from a saved snapshot
+ * @param {string} snapshotPath - Snapshot file to read
+ * @returns {Promise<Object>} {shipData, sonarData, torpedoData}
+ */
+export async function loadPhase(snapshotPath) {
+  log.info(`Phase 1: Loading snapshot ${snapshotPath} (offline)...\n`);
+  const snapshot = await loadSnapshot(snapshotPath);
+  log.info(`  Snapshot from ${snapshot.createdAt}: ${Object.keys(snapshot.ships).length} ships, ${Object.keys(snapshot.sonar).length} submarines, ${Object.keys(snapshot.torpedoes).length} ships with torpedoes`);
+
+  return { shipData: snapshot.ships, sonarData: snapshot.sonar, torpedoData: snapshot.torpedoes };
+}
+
+/**
+ * Apply the user overrides file to ship data (between Phase 1 and Phase 2)
+ * @param {Object} shipData - Ship data keyed by ship name
+ * @param {string} filePath - Overrides file (JSON or YAML)
+ * @param {boolean} required - Fail if the file is missing (otherwise skip silently)
+ * @returns {Promise<Object>} Patched ship data
+ */
+export async function overridePhase(shipData, filePath, required = false) {
+  let overrides;
+  try {
+    overrides = await loadOverrides(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return shipData;
+    throw err;
+  }
+
+  log.info(`\nApplying overrides from ${filePath}...`);
+  const { shipData: patched, applied } = applyOverrides(shipData, overrides);
+  applied.forEach(change => log.info(`  [OVERRIDE] ${change}`));
+  log.info(`  ${applied.length} overrides applied`);
+
+  return patched;
+}
+
+/**
+ * Calculate a battery's max range with the profile's modifiers
+ * @param {Object} data - Ship data entry
+ * @param {string} shipName - Ship name
+ * @param {Object} profile - Loadout profile
+ * @param {number} baseRange - Base range of the battery in km
+ * @param {string} battery - 'main' or 'secondary'
+ * @returns {Object} {modifiedRange (km), modifiers: [{id, multiplier}]}
+ */
+function batteryRange(data, shipName, profile, baseRange, battery) {
+  const modifiedRange = calculateModifiedRange(
+    baseRange,
+    data.class,
+    data.hasSpotter,
+    shipName,
+    data.nation,
+    profile,
+    battery
+  );
+  const modifiers = resolveRangeModifiers({
+    shipClass: data.class,
+    hasSpotter: data.hasSpotter,
+    shipName,
+    nation: data.nation,
+    battery
+  }, profile);
+  return { modifiedRange, modifiers };
+}
+
+/**
+ * Calculate a ship's main battery max range with the profile's modifiers and any override multiplier
+ * @param {Object} data - Ship data entry
+ * @param {string} shipName - Ship name
+ * @param {Object} profile - Loadout profile
+ * @returns {Object} {modifiedRange (km), modifiers: [{id, multiplier}]}
+ */
+function shipMaxRange(data, shipName, profile) {
+  const { modifiedRange, modifiers } = batteryRange(data, shipName, profile, data.baseMaxRange, 'main');
+  return { modifiedRange: modifiedRange * (data.rangeMultiplier ?? 1), modifiers };
+}
+
+/**
+ * Calculate a ship's secondary battery weapons
+ * @param {string} shipName - Ship name
+ * @param {Object} data - Ship data entry with secondaries [{shellType, baseMaxRange, shellProps}]
+ * @param {Object} profile - Loadout profile
+ * @param {Object} options - calculateShip options
+ * @returns {Object} {secondaries: [{weaponName, shellType, caliber, baseMaxRange, maxRange, rangeModifiers, bands, shellProps}], warnings}
+ */
+function calculateSecondaries(shipName, data, profile, options) {
+  const secondaries = [];
+  const warnings = [];
+  const weapon = data.weaponName ?? normalizeShipName(shipName);
+
+  for (const secondary of data.secondaries ?? []) {
+    if (options.shells && !options.shells.includes(secondary.shellType)) continue;
+
+    const caliber = secondary.shellProps.caliber;
+    const { modifiedRange, modifiers } = batteryRange(data, shipName, profile, secondary.baseMaxRange, 'secondary');
+    const bands = buildRangeBands(secondary.shellProps, modifiedRange, options.bands);
+    if (bands === null) {
+      warnings.push(`Invalid factor calculated for ${shipName} (secondary ${caliber} mm ${secondary.shellType})`);
+      continue;
+    }
+
+    const name = SECONDARIES.nameFormat.replace('{weapon}', weapon).replace('{caliber}', Math.round(caliber));
+    secondaries.push({
+      weaponName: name + profile.suffix,
+      shellType: secondary.shellType,
+      caliber,
+      baseMaxRange: secondary.baseMaxRange,
+      maxRange: modifiedRange,
+      rangeModifiers: modifiers.map(m => m.id),
+      bands,
+      shellProps: secondary.shellProps
+    });
+  }
+
+  return { secondaries, warnings };
+}
+
+/**
+ * Calculate ballistics for one ship
+ * @param {string} shipName - Ship name
+ * @param {Object} data - Ship data entry
+ * @param {Object} options - Options {shells: string[], bands (overrides for BANDS), profile (PROFILES name, default 'default')}
+ * @returns {Object} {result, warnings: string[]} (result has no shells if none were valid)
+ */
+export function calculateShip(shipName, data, options = {}) {
+  const profile = getProfile(options.profile ?? 'default');
+  const { modifiedRange, modifiers } = shipMaxRange(data, shipName, profile);
+  const warnings = [];
+
+  const result = {
+    class: data.class,
+    nation: data.nation,
+    ...(data.tier !== undefined && { tier: data.tier }),
+    baseMaxRange: data.baseMaxRange,
+    modifiedRange,
+    hasSpotter: data.hasSpotter,
+    rangeModifiers: modifiers.map(m => m.id),
+    shells: {}
+  };
+  // Output settings from the overrides file, and the profile's weapon name suffix
+  if (data.weaponName || profile.suffix) {
+    result.weaponName = (data.weaponName ?? normalizeShipName(shipName)) + profile.suffix;
+  }
+  if (data.pitch) result.pitch = data.pitch;
+
+  // Dispersion ellipse and hit probability on DISPERSION.targetBox at half and max range
+  if (data.dispersion) {
+    const atRange = rangeKm => {
+      const ellipse = getDispersionAtRange(data.dispersion, rangeKm, data.baseMaxRange, modifiedRange);
+      return { ...ellipse, hitProbability: hitProbability(ellipse) };
+    };
+    result.dispersion = { half: atRange(modifiedRange / 2), max: atRange(modifiedRange) };
+  }
+
+  for (const [shellType, shellProps] of Object.entries(data.shells)) {
+    if (options.shells && !options.shells.includes(shellType)) continue;
+
+    const halfRange = modifiedRange / 2;
+
+    // Calculate ballistics at half range
+    const halfBallistics = getBallisticsAtRange(halfRange, shellProps);
+    const halfFactor = calculateFactor(halfRange, halfBallistics.flightTime, halfBallistics.impactAngle);
+
+    // FireMode range bands (the last one ends at max range)
+    const bands = buildRangeBands(shellProps, modifiedRange, options.bands);
+    const maxBand = bands?.[bands.length - 1];
+
+    if (halfFactor !== null && bands !== null) {
+      result.shells[shellType] = {
+        halfRange,
+        halfFactor,
+        halfFlightTime: halfBallistics.flightTime,
+        halfImpactAngle: halfBallistics.impactAngle,
+        maxRange: modifiedRange,
+        maxFactor: maxBand.factor,
+        maxFlightTime: maxBand.flightTime,
+        maxImpactAngle: maxBand.impactAngle,
+        bands,
+        shellProps
+      };
+
+      // AP shells with Krupp data: penetration and ricochet at half and max range
+      const halfPenetration = getPenetrationAtRange(halfRange, shellProps);
+      if (halfPenetration) {
+        result.shells[shellType].penetration = {
+          half: halfPenetration,
+          max: getPenetrationAtRange(modifiedRange, shellProps)
+        };
+      }
+    } else {
+      warnings.push(`Invalid factor calculated for ${shipName} (${shellType})`);
+    }
+  }
+
+  // Secondary battery weapons, only for ships whose main battery is usable
+  if (data.secondaries && Object.keys(result.shells).length > 0) {
+    const secondaryResult = calculateSecondaries(shipName, data, profile, options);
+    if (secondaryResult.secondaries.length > 0) result.secondaries = secondaryResult.secondaries;
+    warnings.push(...secondaryResult.warnings);
+  }
+
+  return { result, warnings };
+}
+
+/**
+ * Number of worker threads to use for a ship count
+ * @param {number} shipCount - Ships to calculate
+ * @param {number} requested - Requested workers (0 = one per CPU, if there are enough ships)
+ * @returns {number} Worker count (1 = calculate inline)
+ */
+function workerCount(shipCount, requested) {
+  if (requested > 0) return Math.max(1, Math.min(requested, shipCount));
+  return Math.max(1, Math.min(os.availableParallelism(), Math.floor(shipCount / ENGINE.minShipsPerWorker)));
+}
+
+/**
+ * Calculate a list of ships, one outcome per entry
+ * @param {Array} entries - [shipName, data] pairs
+ * @param {Object} options - calculateShip options
+ * @returns {Array} {result, warnings} or {error} per entry
+ */
+export function calculateShips(entries, options) {
+  return entries.map(([shipName, data]) => {
+    try {
+      return calculateShip(shipName, data, options);
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+}
+
+/**
+ * Calculate ships spread over worker threads (inline if there are few ships)
+ * @param {Array} entries - [shipName, data] pairs
+ * @param {Object} options - calculateShip options plus workers
+ * @returns {Promise<Array>} Outcomes in entry order
+ */
+async function runShips(entries, options) {
+  const count = workerCount(entries.length, options.workers ?? ENGINE.workers);
+  if (count === 1) return calculateShips(entries, options);
+
+  log.debug(`  Using ${count} worker threads`);
+  const { shells, bands, profile } = options;
+  const chunkSize = Math.ceil(entries.length / count);
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    chunks.push(entries.slice(i, i + chunkSize));
+  }
+
+  const results = await Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), {
+      workerData: { entries: chunk, options: { shells, bands, profile }, engine: { ...ENGINE } }
+    });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Worker stopped with exit code ${code}`));
+    });
+  })));
+
+  return results.flat();
+}
+
+/**
+ * Format penetration data for console output
+ * @param {Object} penetration - Result of getPenetrationAtRange
+ * @param {number} rangeKm - Range in km
+ * @returns {string} e.g. "@ 21.2 km: belt 512 mm, deck 88 mm, ricochet at 27-44° angling"
+ */
+export function formatPenetration(penetration, rangeKm) {
+  const { beltPenetration, deckPenetration, ricochetWindow, deckRicochet } = penetration;
+  let text = `@ ${rangeKm.toFixed(1)} km: belt ${beltPenetration.toFixed(0)} mm, deck ${deckPenetration.toFixed(0)} mm`;
+  if (ricochetWindow) {
+    text += `, ricochet at ${ricochetWindow.start.toFixed(0)}-${ricochetWindow.always.toFixed(0)}° angling`;
+  }
+  if (deckRicochet !== 'none') text += `, deck ricochet ${deckRicochet}`;
+  return text;
+}
+
+/**
+ * Phase 2: Calculate ballistics for each ship and collect sonar and torpedo results
+ * @param {Object} shipData - Ship data keyed by ship name
+ * @param {Object} sonarData - Sonar data keyed by ship name
+ * @param {Object} options - Options {shells: string[] (shell types to include, default all), bands (overrides for BANDS),
+ *   workers (see ENGINE.workers), profile (PROFILES name, default 'default'), torpedoData (from loadPhase)}
+ * @returns {Promise<Object>} Summary {ships, submarines, torpedoes}
+ */
+export async function calculatePhase(shipData, sonarData, options = {}) {
+  const profileName = options.profile ?? 'default';
+  log.info(`\nPhase 2: Calculating ballistics (profile ${profileName}: ${getProfile(profileName).label})...\n`);
+  const results = {};
+  let successCount = 0;
+  let errorCount = 0;
+
+  const entries = Object.entries(shipData);
+  const outcomes = await runShips(entries, options);
+
+  entries.forEach(([shipName], i) => {
+    const { result, warnings, error } = outcomes[i];
+    if (error) {
+      errorCount++;
+      log.error(`  [ERROR] ${shipName}: ${error}`);
+      return;
+    }
+
+    warnings.forEach(warning => log.warn(warning));
+    if (Object.keys(result.shells).length > 0) {
+      results[shipName] = result;
+      successCount++;
+      log.info(`  [OK] ${shipName}: ${Object.keys(result.shells).join(', ')}`);
+      for (const [shellType, shell] of Object.entries(result.shells)) {
+        if (shell.penetration) log.info(`       ${shellType.toUpperCase()} ${formatPenetration(shell.penetration.max, shell.maxRange)}`);
+      }
+      if (result.secondaries) {
+        log.info(`       Secondaries: ${result.secondaries.map(s => `${s.caliber} mm ${s.shellType.toUpperCase()} ${s.maxRange.toFixed(1)} km`).join(', ')}`);
+      }
+    } else {
+      errorCount++;
+      log.warn(`  [SKIP] ${shipName}: No valid shell configs`);
+    }
+  });
+
+  log.info(`\nCalculated ballistics for ${successCount} ships (${errorCount} errors)`);
+
+  // 2b. Submarine sonar (linear wave speed, no ballistics needed)
+  const sonarResults = {};
+  for (const [shipName, sonar] of Object.entries(sonarData)) {
+    sonarResults[shipName] = {
+      class: sonar.class,
+      nation: sonar.nation,
+      range: sonar.range,
+      waveSpeed: sonar.waveSpeed,
+      bulletSpeed: sonar.bulletSpeed
+    };
+
+    log.info(`  [SONAR] ${shipName}: waveSpeed=${sonar.waveSpeed} m/s, bulletSpeed=${sonar.bulletSpeed.toFixed(2)}`);
+  }
+
+  // 2c. Torpedoes (constant speed, no ballistics needed)
+  const torpedoResults = calculateTorpedoes(options.torpedoData ?? {}, shipData, getProfile(profileName));
+  for (const [shipName, ship] of Object.entries(torpedoResults)) {
+    const variants = ship.torpedoes.map(t => `${t.name} ${t.speedKts.toFixed(1)} kts ${t.range.toFixed(1)} km`);
+    log.info(`  [TORPEDO] ${shipName}: ${variants.join(', ')}`);
+  }
+
+  return {
+    ships: results,
+    submarines: sonarResults,
+    torpedoes: torpedoResults
+  };
+}
+
+/**
+ * Write the ballistics summary to the output directory
+ * @param {Object} summary - Summary {ships, submarines} from calculatePhase
+ * @param {string} outDir - Output directory
+ */
+export async function writeSummary(summary, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const summaryFilePath = path.join(outDir, SUMMARY_FILE);
+  await fs.writeFile(summaryFilePath, JSON.stringify(summary, null, 2), 'utf-8');
+  log.info(`  Written: ${summaryFilePath}`);
+}
+
+/**
+ * Read a ballistics summary written by writeSummary
+ * @param {string} outDir - Output directory
+ * @returns {Promise<Object>} Summary {ships, submarines}
+ */
+export async function readSummary(outDir) {
+  const summaryFilePath = path.join(outDir, SUMMARY_FILE);
+  try {
+    return JSON.parse(await fs.readFile(summaryFilePath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Summary not found: ${summaryFilePath} (run calc first)`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Phase 3: Generate and write output files with the selected writers
+ * @param {Object} summary - Summary {ships, submarines} from calculatePhase
+ * @param {Object} options - Options {outDir, shells: string[] (shell types to include, default all),
+ *   merge (update existing files instead of overwriting), pinned: string[] (weapon names to leave alone when merging),
+ *   writers: string[] (output writers, default OUTPUT.writers)}
+ */
+export async function generatePhase(summary, options) {
+  const writers = (options.writers ?? OUTPUT.writers).map(getWriter);
+  log.info('\nPhase 3: Generating config files...\n');
+
+  // Ensure configs directory exists
+  await fs.mkdir(options.outDir, { recursive: true });
+
+  for (const writer of writers) {
+    await writer.write(summary, options);
+  }
+}
+
+/**
+ * Find a ship in ship data by name (case, diacritic and punctuation insensitive)
+ * @param {Object} shipData - Ship data keyed by ship name
+ * @param {string} name - Ship name to look up
+ * @returns {string|null} Ship name as keyed in shipData, or null if not found
+ */
+export function findShip(shipData, name) {
+  if (shipData[name]) return name;
+
+  const wanted = normalizeForMatching(name);
+  return Object.keys(shipData).find(shipName => normalizeForMatching(shipName) === wanted) ?? null;
+}
+
+/**
+ * Calculate ballistics for a single ship at one range
+ * @param {Object} data - Ship data entry {class, nation, baseMaxRange, hasSpotter, shells}
+ * @param {string} shipName - Ship name
+ * @param {Object} options - Options {rangeKm (default modified max range), shells: string[], profile (PROFILES name, default 'default')}
+ * @returns {Object} {modifiedRange, rangeModifiers, rangeKm, shells: {shellType: {flightTime, impactAngle, impactVelocity, factor, penetration}}, dispersion}
+ */
+export function queryBallistics(data, shipName, options = {}) {
+  const { modifiedRange, modifiers } = shipMaxRange(data, shipName, getProfile(options.profile ?? 'default'));
+  const rangeKm = options.rangeKm ?? modifiedRange;
+
+  const shells = {};
+  for (const [shellType, shellProps] of Object.entries(data.shells)) {
+    if (options.shells && !options.shells.includes(shellType)) continue;
+
+    const ballistics = getBallisticsAtRange(rangeKm, shellProps);
+    shells[shellType] = {
+      ...ballistics,
+      factor: calculateFactor(rangeKm, ballistics.flightTime, ballistics.impactAngle),
+      penetration: getPenetrationAtRange(rangeKm, shellProps)
+    };
+  }
+
+  const dispersion = data.dispersion
+    ? getDispersionAtRange(data.dispersion, rangeKm, data.baseMaxRange, modifiedRange)
+    : null;
+  if (dispersion) dispersion.hitProbability = hitProbability(dispersion);
+
+  return { modifiedRange, rangeModifiers: modifiers.map(m => m.id), rangeKm, shells, dispersion };
+}
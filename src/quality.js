@@ -0,0 +1,262 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { simulateTrajectory } from './physics.js';
+import { calculateLeadError, impliedImpactAngle, normalizeShipName } from './utils.js';
+import { BANDS, QUALITY } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Sweep a shell's true ballistics over ascending ranges with simulateTrajectory
+ * Each range is hit by false position (Illinois) between the previous sample and the 45° shot,
+ * so a step costs a few simulations instead of a full bisection.
+ * @param {Object} shellProps - Shell parameters
+ * @param {number[]} ranges - Ranges in km, ascending
+ * @returns {Map} Range -> {flightTime (game-adjusted), impactAngle}, for the ranges the shell reaches
+ */
+export function sweepBallistics(shellProps, ranges) {
+  const shot = angle => ({ angle, ...simulateTrajectory(angle, shellProps) });
+  const top = shot(45);
+  const samples = new Map();
+  let below = { angle: 0, range: 0 };
+
+  for (const rangeKm of ranges) {
+    const target = rangeKm * 1000;
+    if (target > top.range) break;
+
+    let a = below, fa = below.range - target;
+    let b = top, fb = top.range - target;
+    let hit = b;
+    let side = 0;
+    for (let i = 0; i < QUALITY.maxShots; i++) {
+      hit = shot((a.angle * fb - b.angle * fa) / (fb - fa));
+      const f = hit.range - target;
+      if (Math.abs(f) <= QUALITY.rangeToleranceM) break;
+
+      // Illinois: halve the weight of an end point kept twice in a row
+      if (f < 0) {
+        a = hit;
+        fa = f;
+        if (side === -1) fb /= 2;
+        side = -1;
+      } else {
+        b = hit;
+        fb = f;
+        if (side === 1) fa /= 2;
+        side = 1;
+      }
+    }
+
+    samples.set(rangeKm, { flightTime: hit.adjustedFlightTime, impactAngle: hit.impactAngle });
+    below = hit.range < target ? hit : a;
+  }
+
+  return samples;
+}
+
+/**
+ * Ranges sampled in a band: strictly inside it in stepKm steps, always including its end
+ * @param {Object} band - Range band {minRange, maxRange} in km
+ * @param {number} stepKm - Range step in km
+ * @returns {number[]} Ranges in km, ascending
+ */
+function bandRanges(band, stepKm) {
+  const first = Math.floor(band.minRange / stepKm) + 1;
+  const ranges = [];
+  for (let i = first; i * stepKm < band.maxRange; i++) ranges.push(i * stepKm);
+  ranges.push(band.maxRange);
+  return ranges;
+}
+
+/**
+ * Sweep one weapon's range and measure the lead and impact angle error of each FireMode
+ * Flight time error keeps the true impact angle, impact angle error keeps the true flight time.
+ * @param {Object} shellProps - Shell parameters
+ * @param {Array} bands - Range bands [{minRange, maxRange, factor}] in km
+ * @param {Object} options - {stepKm, targetSpeedKts}
+ * @returns {Array} Per-FireMode stats [{minRange, maxRange, bulletSpeed, samples, unreachable, worstMeters,
+ *   worstSeconds, worstAt, meanMeters, meanSeconds, worstAngle, meanAngle}] (angles in degrees)
+ */
+export function analyzeWeapon(shellProps, bands, options = {}) {
+  const stepKm = options.stepKm ?? QUALITY.stepKm;
+  const targetSpeedKts = options.targetSpeedKts ?? BANDS.targetSpeedKts;
+
+  const bandSamples = bands.map(band => bandRanges(band, stepKm));
+  const ballistics = sweepBallistics(shellProps, [...new Set(bandSamples.flat())].sort((a, b) => a - b));
+
+  return bands.map((band, index) => {
+    // BulletSpeed as written to the config (2 decimals)
+    const bulletSpeed = Number(band.factor.toFixed(2));
+    const stats = {
+      minRange: band.minRange,
+      maxRange: band.maxRange,
+      bulletSpeed,
+      samples: 0,
+      unreachable: 0,
+      worstMeters: 0,
+      worstSeconds: 0,
+      worstAt: band.maxRange,
+      meanMeters: 0,
+      meanSeconds: 0,
+      worstAngle: 0,
+      meanAngle: 0
+    };
+
+    let sumMeters = 0;
+    let sumSeconds = 0;
+    let sumAngle = 0;
+    for (const range of bandSamples[index]) {
+      const sample = ballistics.get(range);
+      if (!sample) {
+        stats.unreachable++;
+        continue;
+      }
+
+      const error = calculateLeadError(range, sample, bulletSpeed, targetSpeedKts);
+      const meters = Math.abs(error.meters);
+      const seconds = Math.abs(error.seconds);
+      const angle = Math.abs(impliedImpactAngle(range, bulletSpeed, sample.flightTime) - sample.impactAngle);
+
+      stats.samples++;
+      sumMeters += meters;
+      sumSeconds += seconds;
+      sumAngle += angle;
+      stats.worstAngle = Math.max(stats.worstAngle, angle);
+      if (meters > stats.worstMeters) {
+        stats.worstMeters = meters;
+        stats.worstSeconds = seconds;
+        stats.worstAt = range;
+      }
+    }
+
+    if (stats.samples > 0) {
+      stats.meanMeters = sumMeters / stats.samples;
+      stats.meanSeconds = sumSeconds / stats.samples;
+      stats.meanAngle = sumAngle / stats.samples;
+    }
+    return stats;
+  });
+}
+
+/**
+ * Analyze one weapon and summarize its FireModes
+ * @param {Object} weapon - {ship, weapon, battery, shellType, class}
+ * @param {Object} shellProps - Shell parameters
+ * @param {Array} bands - Range bands
+ * @param {Object} options - {stepKm, targetSpeedKts}
+ * @returns {Object} Report entry
+ */
+function weaponEntry(weapon, shellProps, bands, options) {
+  const fireModes = analyzeWeapon(shellProps, bands, options);
+  const worst = fireModes.reduce((a, b) => (b.worstMeters > a.worstMeters ? b : a));
+  const samples = fireModes.reduce((sum, fm) => sum + fm.samples, 0);
+  const mean = field => (samples > 0 ? fireModes.reduce((sum, fm) => sum + fm[field] * fm.samples, 0) / samples : 0);
+
+  return {
+    ...weapon,
+    worstMeters: worst.worstMeters,
+    worstSeconds: worst.worstSeconds,
+    worstAt: worst.worstAt,
+    meanMeters: mean('meanMeters'),
+    meanSeconds: mean('meanSeconds'),
+    worstAngle: Math.max(...fireModes.map(fm => fm.worstAngle)),
+    meanAngle: mean('meanAngle'),
+    fireModes
+  };
+}
+
+/**
+ * Build the quality report for every main battery and secondary weapon in a summary
+ * Weapons are named as in the generated configs (overrides and profile suffix included).
+ * @param {Object} summary - Summary {ships} from calculatePhase
+ * @param {Object} options - {stepKm, targetSpeedKts, shells: string[]}
+ * @returns {Object} Report {stepKm, targetSpeedKts, weapons} with weapons sorted by worst error
+ */
+export function buildQualityReport(summary, options = {}) {
+  const stepKm = options.stepKm ?? QUALITY.stepKm;
+  const targetSpeedKts = options.targetSpeedKts ?? BANDS.targetSpeedKts;
+  const sweep = { stepKm, targetSpeedKts };
+  const weapons = [];
+
+  for (const [shipName, shipResult] of Object.entries(summary.ships)) {
+    for (const [shellType, shellData] of Object.entries(shipResult.shells)) {
+      if (options.shells && !options.shells.includes(shellType)) continue;
+
+      weapons.push(weaponEntry({
+        ship: shipName,
+        weapon: shipResult.weaponName ?? normalizeShipName(shipName),
+        battery: 'main',
+        shellType,
+        class: shipResult.class
+      }, shellData.shellProps, shellData.bands, sweep));
+    }
+
+    for (const secondary of shipResult.secondaries ?? []) {
+      if (options.shells && !options.shells.includes(secondary.shellType)) continue;
+
+      weapons.push(weaponEntry({
+        ship: shipName,
+        weapon: secondary.weaponName,
+        battery: 'secondary',
+        shellType: secondary.shellType,
+        class: shipResult.class
+      }, secondary.shellProps, secondary.bands, sweep));
+    }
+  }
+
+  weapons.sort((a, b) => b.worstMeters - a.worstMeters);
+  return { stepKm, targetSpeedKts, weapons };
+}
+
+/**
+ * Format the quality report as a text table (worst weapons first)
+ * @param {Object} report - Report from buildQualityReport
+ * @returns {string} Text table
+ */
+export function formatQualityTable(report) {
+  const lines = [
+    `Lead and impact angle error at ${report.targetSpeedKts} kts target speed, ${report.stepKm} km steps (worst first)`,
+    '',
+    `${'Weapon'.padEnd(32)} ${'Shell'.padEnd(5)} ${'Class'.padEnd(5)} ${'Mode'.padEnd(4)} ${'Range (km)'.padEnd(13)} ${'Speed'.padStart(7)} ${'Worst m'.padStart(8)} ${'Worst s'.padStart(8)} ${'@ km'.padStart(6)} ${'Mean m'.padStart(7)} ${'Mean s'.padStart(7)} ${'Worst °'.padStart(8)} ${'Mean °'.padStart(7)}`
+  ];
+
+  for (const weapon of report.weapons) {
+    weapon.fireModes.forEach((fm, i) => {
+      const range = `${fm.minRange.toFixed(1)}-${fm.maxRange.toFixed(1)}`;
+      lines.push([
+        (i === 0 ? weapon.weapon : '').padEnd(32),
+        (i === 0 ? weapon.shellType.toUpperCase() : '').padEnd(5),
+        (i === 0 ? weapon.class : '').padEnd(5),
+        String(i + 1).padEnd(4),
+        range.padEnd(13),
+        fm.bulletSpeed.toFixed(2).padStart(7),
+        fm.worstMeters.toFixed(1).padStart(8),
+        fm.worstSeconds.toFixed(3).padStart(8),
+        fm.worstAt.toFixed(1).padStart(6),
+        fm.meanMeters.toFixed(1).padStart(7),
+        fm.meanSeconds.toFixed(3).padStart(7),
+        fm.worstAngle.toFixed(2).padStart(8),
+        fm.meanAngle.toFixed(2).padStart(7)
+      ].join(' ') + (fm.unreachable > 0 ? `  (${fm.unreachable} ranges out of reach)` : ''));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the quality report as JSON and as a text table
+ * @param {Object} report - Report from buildQualityReport
+ * @param {string} outDir - Output directory
+ */
+export async function writeQualityReport(report, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `${QUALITY.reportFile}.json`);
+  const textPath = path.join(outDir, `${QUALITY.reportFile}.txt`);
+
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf-8');
+  log.info(`  Written: ${jsonPath}`);
+
+  await fs.writeFile(textPath, formatQualityTable(report), 'utf-8');
+  log.info(`  Written: ${textPath} (${report.weapons.length} weapons)`);
+}
@@ -1,13 +1,46 @@
-import puppeteer from 'puppeteer';
-import { URLS, SKIP_CLASSES, SONAR } from './config.js';
-
-// Timing configuration (from working scraper)
-const TIMING = {
-  pageLoadTimeout: 60000,
-  sleepAfterPageLoad: 2000,
-  sleepAfterClickAll: 500,
-  sleepAfterExpand: 1500,
-  sleepAfterCheckbox: 200,
+import { URLS, SKIP_CLASSES, SONAR, SCRAPER } from './config.js';
+import { normalizeForMatching } from './utils.js';
+import { moduleId, pickTopModule, applyModule } from './modules.js';
+import { createScrapeReport, recordTable, recordDrop, recordUnmatched } from './scrapereport.js';
+import { log } from './logger.js';
+
+// AP table columns for penetration and ricochet data: field -> possible column names
+const AP_COLUMNS = {
+  krupp: ['krupp'],
+  normalization: ['normalization', 'norm.', 'norm'],
+  ricochetStart: ['ricochet start', 'ricochet angle', 'ricochet'],
+  ricochetAlways: ['ricochet always', 'always ricochet'],
+  fuseThreshold: ['fuse threshold', 'detonator threshold', 'threshold'],
+};
+
+// Main battery dispersion columns (params table): field -> possible column names
+const DISPERSION_COLUMNS = {
+  maxHorizontal: ['dispersion', 'max dispersion', 'horizontal dispersion'],
+  sigma: ['sigma'],
+  radiusOnZero: ['radius on zero', 'vertical on zero'],
+  radiusOnDelim: ['radius on delim', 'vertical on delim'],
+  radiusOnMax: ['radius on max', 'vertical on max'],
+  delim: ['delim'],
+};
+
+// Expected columns per table: each entry lists the accepted names of one required column.
+// A missing column fails the scrape instead of silently parsing every value as 0.
+const SHELL_SCHEMA = [['ship', 'name'], ['description'], ['weight'], ['initial speed'], ['drag coeff.', 'drag coeff']];
+export const TABLE_SCHEMAS = {
+  params: [['ship', 'name'], ['class'], ['range']],
+  consumables: [['ship', 'name'], ['spotter']],
+  shells: SHELL_SCHEMA,
+  secondaries: [...SHELL_SCHEMA, ['shell', 'ammo', 'type'], ['range']],
+  sonar: [['ship', 'name'], ['class'], ['range'], ['wave speed']],
+  torpedoes: [['ship', 'name'], ['speed', 'torpedo speed'], ['range', 'torpedo range']],
+  ballistics: [['ship', 'name'], ['shell', 'type'], ['range'], ['flight time'], ['impact angle']],
+};
+
+// Module columns (params and shell tables): part -> possible column names
+const MODULE_COLUMNS = {
+  hull: ['hull', 'hull module'],
+  gun: ['gun', 'guns', 'gun module', 'main battery module'],
+  fcs: ['fcs', 'fire control', 'fire control system'],
 };
 
 /**
@@ -17,13 +50,66 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Describe the shape of the page's table (row and header cell counts)
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string>} e.g. "412x18", or "none" without a table
+ */
+function tableShape(page) {
+  return page.evaluate(() => {
+    const table = document.querySelector('table');
+    if (!table) return 'none';
+    return `${table.querySelectorAll('tbody tr').length}x${table.querySelectorAll('th').length}`;
+  });
+}
+
+/**
+ * Wait for the table to change after a click, then until it stops changing
+ * The site loads the new rows/columns with a request, so the table first has to move away from
+ * its shape before the click (up to SCRAPER.changeTimeout); it has settled once its row and column
+ * counts then stay the same for SCRAPER.settleQuietMs.
+ * @param {Page} page - Puppeteer page
+ * @param {string} before - Table shape before the click (tableShape)
+ * @returns {Promise<boolean>} True if the table changed and settled, false after a timeout
+ */
+async function waitForTableToSettle(page, before) {
+  const start = Date.now();
+  let shape = before;
+
+  while (shape === before) {
+    if (Date.now() - start >= SCRAPER.changeTimeout) {
+      log.warn(`  Table unchanged after ${SCRAPER.changeTimeout} ms (${shape}), reading it anyway`);
+      return false;
+    }
+    await sleep(SCRAPER.pollMs);
+    shape = await tableShape(page);
+  }
+
+  const deadline = start + SCRAPER.settleTimeout;
+  let changedAt = Date.now();
+  while (Date.now() < deadline) {
+    await sleep(SCRAPER.pollMs);
+    const current = await tableShape(page);
+    if (current !== shape) {
+      shape = current;
+      changedAt = Date.now();
+    } else if (Date.now() - changedAt >= SCRAPER.settleQuietMs) {
+      return true;
+    }
+  }
+
+  log.warn(`  Table still changing after ${SCRAPER.settleTimeout} ms (${shape}), reading it anyway`);
+  return false;
+}
+
 /**
  * Click all "all" links to expand ship groups
  * @param {Page} page - Puppeteer page
  */
-async function expandAllGroups(page) {
-  console.log('  Expanding all ship groups...');
+export async function expandAllGroups(page) {
+  log.debug('  Expanding all ship groups...');
 
+  const before = await tableShape(page);
   const clicked = await page.evaluate(() => {
     const links = Array.from(document.querySelectorAll('span.link'));
     let count = 0;
@@ -36,69 +122,91 @@ async function expandAllGroups(page) {
     return count;
   });
 
-  console.log(`  Clicked ${clicked} "all" links`);
-  await sleep(TIMING.sleepAfterClickAll);
-  await sleep(TIMING.sleepAfterExpand);
+  log.debug(`  Clicked ${clicked} "all" links`);
+  if (clicked > 0) await waitForTableToSettle(page, before);
 }
 
 /**
  * Enable a checkbox by label text
  * @param {Page} page - Puppeteer page
  * @param {string} text - Label text to search for
+ * @returns {Promise<boolean>} True if a checkbox was clicked
  */
-async function enableCheckbox(page, text) {
-  console.log(`  Enabling checkbox: ${text}...`);
-  await page.evaluate((searchText) => {
+export async function enableCheckbox(page, text) {
+  log.debug(`  Enabling checkbox: ${text}...`);
+  return page.evaluate((searchText) => {
+    let clicked = false;
     document.querySelectorAll('label.checkbox').forEach(label => {
       if (label.textContent.toLowerCase().includes(searchText.toLowerCase())) {
         const input = label.querySelector('input');
-        if (input && !input.checked) label.click();
+        if (input && !input.checked) {
+          label.click();
+          clicked = true;
+        }
       }
     });
+    return clicked;
   }, text);
-  await sleep(TIMING.sleepAfterCheckbox);
+}
+
+/**
+ * Check table headers against an expected-columns schema
+ * @param {string[]} headers - Lowercase table headers
+ * @param {Array} schema - Accepted names per required column
+ * @param {string} url - Table URL (for the error message)
+ */
+export function checkColumns(headers, schema, url) {
+  const missing = schema.filter(names => !names.some(name => headers.includes(name)));
+  if (missing.length > 0) {
+    // Not retried: the page loaded, its layout changed
+    throw Object.assign(
+      new Error(`Table ${url} is missing column ${missing.map(names => `"${names.join('" / "')}"`).join(', ')} (found: ${headers.join(', ')})`),
+      { retryable: false }
+    );
+  }
 }
 
 /**
  * Scrape table data from a page
  * @param {Page} page - Puppeteer page
  * @param {string} url - URL to scrape
- * @param {Object} options - Options {checkboxes: string[]}
+ * @param {Object} options - Options {checkboxes: string[], schema (expected columns, see TABLE_SCHEMAS),
+ *   optional (session only: an empty table instead of an error if it can't be scraped)}
  * @returns {Promise<Array>} Array of row objects
  */
-async function scrapeTable(page, url, options = {}) {
-  console.log(`  Navigating to ${URLS.base + url}...`);
+export async function scrapeTable(page, url, options = {}) {
+  log.info(`  Navigating to ${URLS.base + url}...`);
   await page.goto(URLS.base + url, {
     waitUntil: 'networkidle2',
-    timeout: TIMING.pageLoadTimeout
+    timeout: SCRAPER.pageLoadTimeout
   });
-  await sleep(TIMING.sleepAfterPageLoad);
+
+  // Wait for table to be present
+  try {
+    await page.waitForSelector('table', { timeout: SCRAPER.tableTimeout });
+  } catch {
+    throw new Error(`No table found on ${url} within ${SCRAPER.tableTimeout} ms`);
+  }
 
   // Expand all groups to show ships
   await expandAllGroups(page);
 
-  // Enable any requested checkboxes
+  // Enable any requested checkboxes (each adds columns)
   if (options.checkboxes) {
+    const before = await tableShape(page);
+    let clicked = false;
     for (const checkbox of options.checkboxes) {
-      await enableCheckbox(page, checkbox);
+      clicked = (await enableCheckbox(page, checkbox)) || clicked;
     }
-    await sleep(TIMING.sleepAfterPageLoad);
+    if (clicked) await waitForTableToSettle(page, before);
   }
 
-  // Wait for table to be present
-  try {
-    await page.waitForSelector('table', { timeout: 10000 });
-  } catch {
-    console.log('  No table found on page');
-    return [];
-  }
-
-  console.log('  Extracting table data...');
+  log.debug('  Extracting table data...');
 
   // Extract table data
-  const data = await page.evaluate(() => {
+  const { headers, data } = await page.evaluate(() => {
     const table = document.querySelector('table');
-    if (!table) return [];
+    if (!table) return { headers: [], data: [] };
 
     // Get headers from th elements
     const headerCells = table.querySelectorAll('th');
@@ -106,7 +214,7 @@ async function scrapeTable(page, url, options = {}) {
 
     // Get rows from tbody
     const rows = Array.from(table.querySelectorAll('tbody tr'));
-    return rows.map(row => {
+    const data = rows.map(row => {
       const cells = Array.from(row.querySelectorAll('td'));
       const obj = {};
       cells.forEach((cell, i) => {
@@ -116,18 +224,133 @@ async function scrapeTable(page, url, options = {}) {
       });
       return obj;
     });
+    return { headers, data };
   });
 
-  console.log(`  Extracted ${data.length} rows`);
+  if (options.schema) checkColumns(headers, options.schema, url);
+
+  log.info(`  Extracted ${data.length} rows from ${url}`);
   return data;
 }
 
+/**
+ * Launch a headless browser
+ * Puppeteer is loaded here rather than at import, so the table parsing works without it.
+ * @returns {Promise<Browser>} Puppeteer browser
+ */
+export async function launchBrowser() {
+  const { default: puppeteer } = await import('puppeteer');
+  return puppeteer.launch({
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage'
+    ]
+  });
+}
+
+/**
+ * Open a scraper session: one browser for all tables, each table in its own page,
+ * at most `concurrency` pages at once
+ * Failed loads are retried with backoff (SCRAPER.retries, SCRAPER.retryDelayMs); missing
+ * columns are not. After the last attempt the error is thrown, or for `optional` tables
+ * logged and an empty table returned. Every table ends up in session.report.
+ * @param {Object} options - Options {concurrency (default SCRAPER.concurrency)}
+ * @returns {Promise<Object>} Session {scrapeTable(url, options), close(), report}
+ */
+export async function openSession(options = {}) {
+  const concurrency = options.concurrency ?? SCRAPER.concurrency;
+  log.info(`Launching browser (${concurrency} pages at once)...`);
+  const browser = await launchBrowser();
+
+  // Pages waiting for a free slot
+  let active = 0;
+  const waiting = [];
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  /**
+   * Scrape one table in a new page
+   * @param {string} url - URL to scrape
+   * @param {Object} tableOptions - scrapeTable options
+   * @returns {Promise<Array>} Array of row objects
+   */
+  const attempt = async (url, tableOptions) => {
+    await acquire();
+    let page;
+    try {
+      page = await browser.newPage();
+      await page.setViewport({ width: 1920, height: 1080 });
+      return await scrapeTable(page, url, tableOptions);
+    } finally {
+      await page?.close();
+      release();
+    }
+  };
+
+  const report = createScrapeReport();
+
+  return {
+    report,
+    async scrapeTable(url, tableOptions = {}) {
+      for (let attempts = 1; ; attempts++) {
+        try {
+          const rows = await attempt(url, tableOptions);
+          recordTable(report, url, { rows: rows.length, attempts });
+          return rows;
+        } catch (err) {
+          if (err.retryable !== false && attempts <= SCRAPER.retries) {
+            const delay = SCRAPER.retryDelayMs * 2 ** (attempts - 1);
+            log.warn(`  ${url}: ${err.message}, retrying in ${delay} ms (attempt ${attempts + 1} of ${SCRAPER.retries + 1})`);
+            await sleep(delay);
+            continue;
+          }
+
+          recordTable(report, url, { rows: 0, attempts, error: err.message });
+          if (!tableOptions.optional) throw err;
+          log.error(`  ${url}: ${err.message}, continuing without this table`);
+          return [];
+        }
+      }
+    },
+    close: () => browser.close()
+  };
+}
+
+/**
+ * Run a scrape in the given session, or in a new session that is closed afterwards
+ * @param {Object|undefined} session - Session from openSession
+ * @param {Function} scrape - async (session) => result
+ * @returns {Promise<*>} Result of scrape
+ */
+async function withSession(session, scrape) {
+  if (session) return scrape(session);
+
+  const own = await openSession();
+  try {
+    return await scrape(own);
+  } finally {
+    await own.close();
+  }
+}
+
 /**
  * Parse numeric value from string (handles units like "km", "m/s", "kg", etc.)
  * @param {string} str - String to parse
  * @returns {number} Parsed number
  */
-function parseNumeric(str) {
+export function parseNumeric(str) {
   if (!str) return 0;
   // Remove commas from numbers like "1,321"
   const cleaned = str.replace(/,/g, '');
@@ -135,181 +358,365 @@ function parseNumeric(str) {
   return match ? parseFloat(match[0]) : 0;
 }
 
+// Roman numeral tiers as shown in some tables
+const ROMAN_TIERS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI'];
+
 /**
- * Normalize ship name for cross-table matching
+ * Parse a tier cell ("10", "X", or a star for superships)
+ * @param {string} str - Cell text
+ * @returns {number|undefined} Tier 1-11, or undefined if not recognised
  */
-function normalizeForMatching(name) {
-  return String(name)
-    .trim()
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[''ʼ`']/g, '')
-    .replace(/\./g, '')
-    .replace(/\s+/g, ' ');
+function parseTier(str) {
+  const text = (str || '').trim().toUpperCase();
+  if (text === '★' || text === '*') return 11;
+
+  const roman = ROMAN_TIERS.indexOf(text);
+  if (roman !== -1) return roman + 1;
+
+  const tier = parseNumeric(text);
+  return tier >= 1 && tier <= 11 ? tier : undefined;
 }
 
 /**
- * Main scraper function - scrapes all ship data from shiptool.st
- * @returns {Promise<Object>} Ship data keyed by ship name
+ * Read optional numeric columns from a table row
+ * @param {Object} row - Table row keyed by lowercase header
+ * @param {Object} columns - Field -> possible column names (first present one is used)
+ * @returns {Object} Parsed values for the fields whose column is present
  */
-export async function scrapeShipData() {
-  console.log('Launching browser...');
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage'
-    ]
-  });
+function readColumns(row, columns) {
+  const values = {};
+  for (const [field, names] of Object.entries(columns)) {
+    const column = names.find(c => row[c] !== undefined && row[c] !== '');
+    if (column) values[field] = parseNumeric(row[column]);
+  }
+  return values;
+}
 
-  try {
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1920, height: 1080 });
+// Numeric shell table columns: a cell without digits is reported instead of read as 0
+const SHELL_NUMBER_COLUMNS = ['description', 'weight', 'initial speed', 'drag coeff.', 'drag coeff'];
 
-    // 1. Scrape main params table for ship names, classes, ranges
-    // Need to enable "main battery" checkbox to see range column
-    console.log('Scraping ship params (main battery)...');
-    const paramsData = await scrapeTable(page, URLS.params, { checkboxes: ['main battery'] });
+/**
+ * Find a numeric cell that can't be parsed
+ * @param {Object} row - Table row keyed by lowercase header
+ * @param {string[]} columns - Columns to check (columns the row doesn't have are skipped)
+ * @returns {string|null} Drop reason, e.g. 'unparseable "drag coeff." ("—")', or null
+ */
+function unparseableColumn(row, columns) {
+  const column = columns.find(c => row[c] !== undefined && !/\d/.test(row[c]));
+  return column ? `unparseable "${column}" (${JSON.stringify(row[column])})` : null;
+}
 
-    // Debug: show sample
-    if (paramsData.length > 0) {
-      console.log('  Sample row keys:', Object.keys(paramsData[0]));
+/**
+ * Read shell properties from a shell table row
+ * @param {Object} row - Table row keyed by lowercase header
+ * @returns {Object} {muzzleVelocity, mass, dragCoefficient, caliber}
+ */
+function readShellProps(row) {
+  return {
+    muzzleVelocity: parseNumeric(row['initial speed']),
+    mass: parseNumeric(row.weight),
+    dragCoefficient: parseNumeric(row['drag coeff.'] || row['drag coeff']),
+    caliber: parseNumeric(row.description) // "431 mm" -> 431
+  };
+}
+
+/**
+ * Build secondary battery weapons from the secondaries table
+ * One weapon per ship, caliber and shell type; rows repeating one (several mounts) are merged.
+ * The page path (URLS.secondaries) and this column layout are assumed and have not been
+ * checked against the live site.
+ * @param {Array} rows - Secondaries table rows (ship, description, shell, weight, initial speed, drag coeff., range)
+ * @param {Object} report - Scrape report for dropped rows
+ * @returns {Object} Normalized ship name -> [{shellType, baseMaxRange, shellProps}]
+ */
+function buildSecondaries(rows, report) {
+  const byShip = {};
+
+  for (const row of rows) {
+    const name = row.ship || row.name;
+    const shellType = (row.shell || row.ammo || row.type || '').trim().toLowerCase();
+    const drop = reason => recordDrop(report, 'secondaries', name, reason);
+    if (!name) {
+      drop('no ship name');
+      continue;
+    }
+    if (!['ap', 'he', 'sap'].includes(shellType)) {
+      drop(`unknown shell type "${shellType}"`);
+      continue;
     }
 
-    // Build ship info lookup (name -> {class, range})
-    const shipInfo = {};
-    for (const row of paramsData) {
-      const name = row.ship || row.name;
-      const shipClass = (row.class || '').toUpperCase();
-      const range = parseNumeric(row.range);
-      if (name && shipClass) {
-        shipInfo[normalizeForMatching(name)] = {
-          originalName: name,
-          class: shipClass,
-          baseMaxRange: range
-        };
-      }
+    const unparseable = unparseableColumn(row, [...SHELL_NUMBER_COLUMNS, 'range']);
+    if (unparseable) {
+      drop(unparseable);
+      continue;
+    }
+    const shellProps = readShellProps(row);
+    const baseMaxRange = parseNumeric(row.range);
+    if (shellProps.muzzleVelocity <= 0) {
+      drop('zero muzzle velocity');
+      continue;
+    }
+    if (shellProps.mass <= 0 || baseMaxRange <= 0) {
+      drop(shellProps.mass <= 0 ? 'zero mass' : 'zero range');
+      continue;
     }
-    console.log(`  Found ${Object.keys(shipInfo).length} ships with main battery data`);
 
-    // 2. Scrape consumables table for spotter plane availability
-    console.log('Scraping consumables...');
-    const consumablesData = await scrapeTable(page, URLS.consumables);
+    const secondaries = byShip[normalizeForMatching(name)] ??= [];
+    const existing = secondaries.findIndex(s => s.shellType === shellType && s.shellProps.caliber === shellProps.caliber);
+    const secondary = { shellType, baseMaxRange, shellProps };
+    if (existing === -1) secondaries.push(secondary);
+    else secondaries[existing] = secondary;
+  }
 
-    // Build spotter lookup
-    const spotterLookup = {};
-    for (const row of consumablesData) {
-      const name = row.ship || row.name;
-      if (name) {
-        const spotterValue = parseNumeric(row.spotter);
-        spotterLookup[normalizeForMatching(name)] = spotterValue > 0;
-      }
-    }
+  return byShip;
+}
 
-    // 3. Scrape shell data tables - these contain the shell properties!
-    // Columns: Ship, Tier, Class, Nation, Description, Weight, Damage, Initial speed, Drag coeff., etc.
-    console.log('Scraping AP shell data...');
-    const apData = await scrapeTable(page, URLS.shells.ap);
+/**
+ * Read the module parts of a table row
+ * @param {Object} row - Table row keyed by lowercase header
+ * @returns {Object} {hull, gun, fcs} for the columns present
+ */
+function readModule(row) {
+  const module = {};
+  for (const [part, names] of Object.entries(MODULE_COLUMNS)) {
+    const column = names.find(c => row[c]);
+    if (column) module[part] = row[column];
+  }
+  return module;
+}
 
-    console.log('Scraping HE shell data...');
-    const heData = await scrapeTable(page, URLS.shells.he);
+/**
+ * Main scraper function - scrapes all ship data from shiptool.st
+ * @param {Object} [session] - Session from openSession (default: a new one for this call)
+ * @returns {Promise<Object>} Ship data keyed by ship name
+ */
+export async function scrapeShipData(session) {
+  return withSession(session, async session => {
+    // Scrape all tables in parallel pages:
+    // - params for ship names, classes, ranges (needs the "main battery" checkbox for the range column)
+    // - consumables for spotter plane availability
+    // - shell tables with the shell properties. Columns: Ship, Tier, Class, Nation, Description,
+    //   Weight, Damage, Initial speed, Drag coeff., etc.
+    // - secondary battery guns
+    log.info('Scraping ship params, consumables, AP/HE/SAP shells and secondaries...');
+    const [paramsData, consumablesData, apData, heData, sapData, secondaryData] = await Promise.all([
+      session.scrapeTable(URLS.params, { checkboxes: ['main battery'], schema: TABLE_SCHEMAS.params }),
+      session.scrapeTable(URLS.consumables, { schema: TABLE_SCHEMAS.consumables }),
+      session.scrapeTable(URLS.shells.ap, { schema: TABLE_SCHEMAS.shells }),
+      session.scrapeTable(URLS.shells.he, { schema: TABLE_SCHEMAS.shells }),
+      session.scrapeTable(URLS.shells.sap, { schema: TABLE_SCHEMAS.shells }),
+      session.scrapeTable(URLS.secondaries, { schema: TABLE_SCHEMAS.secondaries, optional: true })
+    ]);
+
+    return mergeShipTables({
+      params: paramsData,
+      consumables: consumablesData,
+      ap: apData,
+      he: heData,
+      sap: sapData,
+      secondaries: secondaryData
+    }, session.report);
+  });
+}
 
-    console.log('Scraping SAP shell data...');
-    const sapData = await scrapeTable(page, URLS.shells.sap);
+/**
+ * Merge the scraped tables into ship data
+ * Ships come from the params table; spotter, shells and secondaries are matched to them by
+ * normalized name. Rows that can't be used are recorded in the report.
+ * @param {Object} tables - Table rows {params, consumables, ap, he, sap, secondaries}
+ * @param {Object} report - Scrape report (see scrapereport.js)
+ * @returns {Object} Ship data keyed by ship name
+ */
+export function mergeShipTables(tables, report) {
+  const {
+    params: paramsData,
+    consumables: consumablesData,
+    ap: apData,
+    he: heData,
+    sap: sapData,
+    secondaries: secondaryData = []
+  } = tables;
+
+  // Debug: show sample
+  if (paramsData.length > 0) {
+    log.debug('  Sample row keys:', Object.keys(paramsData[0]));
+  }
 
-    // Debug: show shell table columns
-    if (apData.length > 0) {
-      console.log('  AP table columns:', Object.keys(apData[0]));
-      console.log('  Sample AP row:', JSON.stringify(apData[0]));
+  // Build ship info lookup (name -> {class, modules}), one module per hull/gun/FCS row
+  const shipInfo = {};
+  for (const row of paramsData) {
+    const name = row.ship || row.name;
+    const shipClass = (row.class || '').toUpperCase();
+    const range = parseNumeric(row.range);
+    if (!name || !shipClass) {
+      recordDrop(report, 'params', name, 'no ship name or class');
+    } else if (unparseableColumn(row, ['range'])) {
+      recordDrop(report, 'params', name, unparseableColumn(row, ['range']));
+    } else {
+      const info = shipInfo[normalizeForMatching(name)] ??= {
+        originalName: name,
+        class: shipClass,
+        tier: parseTier(row.tier),
+        modules: []
+      };
+
+      const parts = readModule(row);
+      const module = { id: moduleId(parts), ...parts, baseMaxRange: range, shells: {} };
+      // Dispersion is only usable with max range dispersion and sigma
+      const dispersion = readColumns(row, DISPERSION_COLUMNS);
+      if (dispersion.maxHorizontal > 0 && dispersion.sigma > 0) module.dispersion = dispersion;
+
+      // A repeated module replaces the earlier row
+      const index = info.modules.findIndex(m => m.id === module.id);
+      if (index === -1) info.modules.push(module);
+      else info.modules[index] = module;
+    }
+  }
+  log.info(`  Found ${Object.keys(shipInfo).length} ships with main battery data`);
+
+  // Build spotter lookup
+  const spotterLookup = {};
+  for (const row of consumablesData) {
+    const name = row.ship || row.name;
+    if (name) {
+      const spotterValue = parseNumeric(row.spotter);
+      spotterLookup[normalizeForMatching(name)] = spotterValue > 0;
+      if (!shipInfo[normalizeForMatching(name)]) recordUnmatched(report, 'consumables', name);
     }
+  }
 
-    // 4. Build final ship data with shell properties from the tables
-    console.log('Processing ship data...');
-    const shipData = {};
-    let processedCount = 0;
-    let skippedCount = 0;
-
-    // Process each shell type table
-    const shellTables = [
-      { type: 'ap', data: apData },
-      { type: 'he', data: heData },
-      { type: 'sap', data: sapData }
-    ];
-
-    for (const { type, data } of shellTables) {
-      for (const row of data) {
-        const name = row.ship || row.name;
-        if (!name) continue;
-
-        const normalizedName = normalizeForMatching(name);
-        const info = shipInfo[normalizedName];
-
-        if (!info) {
-          // Ship not in main params table (might be CV/SS)
-          continue;
-        }
+  const secondaryLookup = buildSecondaries(secondaryData, report);
+  for (const row of secondaryData) {
+    const name = row.ship || row.name;
+    if (name && !shipInfo[normalizeForMatching(name)]) recordUnmatched(report, 'secondaries', name);
+  }
 
-        // Skip submarines and carriers
-        if (SKIP_CLASSES.includes(info.class)) {
-          continue;
-        }
+  // Debug: show shell table columns
+  if (apData.length > 0) {
+    log.debug('  AP table columns:', Object.keys(apData[0]));
+    log.debug('  Sample AP row:', JSON.stringify(apData[0]));
+  }
 
-        // Extract shell properties from the table
-        // Column names from screenshot: description, weight, initial speed, drag coeff.
-        const shellProps = {
-          muzzleVelocity: parseNumeric(row['initial speed']),
-          mass: parseNumeric(row.weight),
-          dragCoefficient: parseNumeric(row['drag coeff.'] || row['drag coeff']),
-          caliber: parseNumeric(row.description) // "431 mm" -> 431
-        };
+  // 4. Build final ship data with shell properties from the tables
+  log.info('Processing ship data...');
+  const shipData = {};
+  const shipOrder = [];
 
-        // Validate shell properties
-        if (shellProps.muzzleVelocity <= 0 || shellProps.mass <= 0) {
-          continue;
-        }
+  // Process each shell type table
+  const shellTables = [
+    { type: 'ap', data: apData },
+    { type: 'he', data: heData },
+    { type: 'sap', data: sapData }
+  ];
 
-        // Initialize ship entry if needed
-        if (!shipData[info.originalName]) {
-          shipData[info.originalName] = {
-            class: info.class,
-            nation: row.nation || '',
-            baseMaxRange: info.baseMaxRange,
-            hasSpotter: spotterLookup[normalizedName] || false,
-            shells: {}
-          };
-          processedCount++;
-        }
+  for (const { type, data } of shellTables) {
+    for (const row of data) {
+      const name = row.ship || row.name;
+      const drop = reason => recordDrop(report, type, name, reason);
+      if (!name) {
+        drop('no ship name');
+        continue;
+      }
 
-        // Add shell type
-        shipData[info.originalName].shells[type] = shellProps;
+      const normalizedName = normalizeForMatching(name);
+      const info = shipInfo[normalizedName];
+
+      if (!info) {
+        // Ship not in main params table (might be CV/SS, or a renamed ship)
+        drop('no match in params');
+        recordUnmatched(report, type, name);
+        continue;
       }
-    }
 
-    // Log summary
-    console.log(`\nProcessed ${processedCount} ships:`);
-    let apCount = 0, heCount = 0, sapCount = 0;
-    for (const ship of Object.values(shipData)) {
-      if (ship.shells.ap) apCount++;
-      if (ship.shells.he) heCount++;
-      if (ship.shells.sap) sapCount++;
-    }
-    console.log(`  Ships with AP: ${apCount}`);
-    console.log(`  Ships with HE: ${heCount}`);
-    console.log(`  Ships with SAP: ${sapCount}`);
-
-    // Debug: show a sample ship
-    const sampleName = Object.keys(shipData)[0];
-    if (sampleName) {
-      console.log(`\nSample ship (${sampleName}):`, JSON.stringify(shipData[sampleName], null, 2));
+      // Skip submarines and carriers
+      if (SKIP_CLASSES.includes(info.class)) {
+        drop(`skipped class ${info.class}`);
+        continue;
+      }
+
+      // Extract shell properties from the table
+      // Column names from screenshot: description, weight, initial speed, drag coeff.
+      const unparseable = unparseableColumn(row, SHELL_NUMBER_COLUMNS);
+      if (unparseable) {
+        drop(unparseable);
+        continue;
+      }
+      const shellProps = readShellProps(row);
+
+      // Validate shell properties
+      if (shellProps.muzzleVelocity <= 0) {
+        drop('zero muzzle velocity');
+        continue;
+      }
+      if (shellProps.mass <= 0) {
+        drop('zero mass');
+        continue;
+      }
+
+      // AP penetration and ricochet columns (left out if the table doesn't have them)
+      if (type === 'ap') {
+        Object.assign(shellProps, readColumns(row, AP_COLUMNS));
+      }
+
+      // Ships are listed in the order their first shell appears
+      if (!shipOrder.includes(info)) {
+        shipOrder.push(info);
+        info.nation = row.nation || '';
+        info.tier = info.tier ?? parseTier(row.tier);
+        info.hasSpotter = spotterLookup[normalizedName] || false;
+      }
+
+      // Add the shell to the modules with this gun (all modules if either table has no gun column)
+      const gun = readModule(row).gun;
+      for (const module of info.modules) {
+        if (!gun || !module.gun || normalizeForMatching(module.gun) === normalizeForMatching(gun)) {
+          module.shells[type] = shellProps;
+        }
+      }
     }
+  }
 
-    return shipData;
+  // Ship entries use the top configuration; every module is kept for selection
+  for (const info of shipOrder) {
+    const modules = info.modules.filter(module => Object.keys(module.shells).length > 0);
+    if (modules.length === 0) continue;
+
+    const entry = {
+      class: info.class,
+      nation: info.nation,
+      tier: info.tier,
+      baseMaxRange: 0,
+      hasSpotter: info.hasSpotter,
+      shells: {}
+    };
+    applyModule(entry, pickTopModule(modules));
+    if (modules.length > 1 || modules[0].id !== 'default') entry.modules = modules;
+    const secondaries = secondaryLookup[normalizeForMatching(info.originalName)];
+    if (secondaries) entry.secondaries = secondaries;
+    shipData[info.originalName] = entry;
+  }
 
-  } finally {
-    await browser.close();
+  // Log summary
+  const moduleShips = Object.values(shipData).filter(ship => ship.modules?.length > 1).length;
+  log.info(`\nProcessed ${Object.keys(shipData).length} ships (${moduleShips} with several modules):`);
+  let apCount = 0, heCount = 0, sapCount = 0;
+  for (const ship of Object.values(shipData)) {
+    if (ship.shells.ap) apCount++;
+    if (ship.shells.he) heCount++;
+    if (ship.shells.sap) sapCount++;
+  }
+  log.info(`  Ships with AP: ${apCount}`);
+  log.info(`  Ships with HE: ${heCount}`);
+  log.info(`  Ships with SAP: ${sapCount}`);
+  log.info(`  Ships with secondaries: ${Object.values(shipData).filter(ship => ship.secondaries).length}`);
+
+  // Debug: show a sample ship
+  const sampleName = Object.keys(shipData)[0];
+  if (sampleName) {
+    log.debug(`\nSample ship (${sampleName}):`, JSON.stringify(shipData[sampleName], null, 2));
   }
+
+  return shipData;
 }
 
 /**
@@ -336,6 +743,15 @@ export function validateScrapedData(shipData) {
         issues.push(`${name} ${shellType}: invalid caliber`);
       }
     }
+
+    for (const secondary of data.secondaries ?? []) {
+      if (!secondary.shellProps.dragCoefficient || secondary.shellProps.dragCoefficient <= 0) {
+        issues.push(`${name} secondary ${secondary.shellType}: invalid dragCoefficient`);
+      }
+      if (!secondary.shellProps.caliber || secondary.shellProps.caliber <= 0) {
+        issues.push(`${name} secondary ${secondary.shellType}: invalid caliber`);
+      }
+    }
   }
 
   return issues;
@@ -343,31 +759,19 @@ export function validateScrapedData(shipData) {
 
 /**
  * Scrape submarine sonar data from shiptool.st
+ * @param {Object} [session] - Session from openSession (default: a new one for this call)
  * @returns {Promise<Object>} Sonar data keyed by ship name
  */
-export async function scrapeSonarData() {
-  console.log('Launching browser for sonar data...');
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage'
-    ]
-  });
-
-  try {
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1920, height: 1080 });
-
+export async function scrapeSonarData(session) {
+  return withSession(session, async session => {
     // Scrape sonar params table
-    console.log('Scraping submarine sonar data...');
-    const sonarData = await scrapeTable(page, URLS.sonar);
+    log.info('Scraping submarine sonar data...');
+    const sonarData = await session.scrapeTable(URLS.sonar, { schema: TABLE_SCHEMAS.sonar });
 
     // Debug: show sample
     if (sonarData.length > 0) {
-      console.log('  Sonar table columns:', Object.keys(sonarData[0]));
-      console.log('  Sample sonar row:', JSON.stringify(sonarData[0]));
+      log.debug('  Sonar table columns:', Object.keys(sonarData[0]));
+      log.debug('  Sample sonar row:', JSON.stringify(sonarData[0]));
     }
 
     // Build sonar info lookup (name -> {class, nation, range, waveSpeed})
@@ -379,7 +783,11 @@ export async function scrapeSonarData() {
       const range = parseNumeric(row.range);
       const waveSpeed = parseNumeric(row['wave speed']);
 
-      if (name && shipClass === 'SS' && waveSpeed > 0) {
+      if (!name || shipClass !== 'SS') {
+        recordDrop(session.report, 'sonar', name, `not a submarine (${shipClass || 'no class'})`);
+      } else if (waveSpeed <= 0) {
+        recordDrop(session.report, 'sonar', name, unparseableColumn(row, ['wave speed']) ?? 'zero wave speed');
+      } else {
         sonarInfo[name] = {
           class: shipClass,
           nation,
@@ -390,10 +798,113 @@ export async function scrapeSonarData() {
       }
     }
 
-    console.log(`  Found ${Object.keys(sonarInfo).length} submarines with sonar data`);
+    log.info(`  Found ${Object.keys(sonarInfo).length} submarines with sonar data`);
     return sonarInfo;
+  });
+}
 
-  } finally {
-    await browser.close();
-  }
+/**
+ * Scrape torpedo launcher data from shiptool.st
+ * Expects one row per ship and torpedo with "ship", "class", "nation", "torpedo" (name),
+ * "speed" (kts) and "range" (km) columns; deep-water torpedoes are recognised by a
+ * "type" column or their name. The page path (URLS.torpedoes) and this layout are assumed
+ * and have not been checked against the live site.
+ * @param {Object} [session] - Session from openSession (default: a new one for this call)
+ * @returns {Promise<Object>} Torpedo data keyed by ship name {class, nation, torpedoes: [{name, speedKts, range, deepWater}]}
+ */
+export async function scrapeTorpedoData(session) {
+  return withSession(session, async session => {
+    log.info('Scraping torpedo data...');
+    const rows = await session.scrapeTable(URLS.torpedoes, { schema: TABLE_SCHEMAS.torpedoes, optional: true });
+
+    if (rows.length > 0) {
+      log.debug('  Torpedo table columns:', Object.keys(rows[0]));
+      log.debug('  Sample torpedo row:', JSON.stringify(rows[0]));
+    }
+
+    const ships = {};
+    let torpedoCount = 0;
+    for (const row of rows) {
+      const name = row.ship || row.name;
+      const shipClass = (row.class || '').toUpperCase();
+      const torpedoName = row.torpedo || row.torpedoes || row.description || '';
+      const speedKts = parseNumeric(row.speed || row['torpedo speed']);
+      const range = parseNumeric(row.range || row['torpedo range']);
+
+      const drop = reason => recordDrop(session.report, 'torpedoes', name, reason);
+      if (!name) {
+        drop('no ship name');
+        continue;
+      }
+      if (SKIP_CLASSES.includes(shipClass)) {
+        drop(`skipped class ${shipClass}`);
+        continue;
+      }
+      if (speedKts <= 0 || range <= 0) {
+        drop(speedKts <= 0 ? 'zero torpedo speed' : 'zero torpedo range');
+        continue;
+      }
+
+      const ship = ships[name] ??= { class: shipClass, nation: row.nation || '', torpedoes: [] };
+      if (ship.torpedoes.some(t => t.name === torpedoName)) continue;
+
+      ship.torpedoes.push({
+        name: torpedoName,
+        speedKts,
+        range,
+        deepWater: /deep/i.test(`${row.type || ''} ${torpedoName}`)
+      });
+      torpedoCount++;
+    }
+
+    log.info(`  Found ${torpedoCount} torpedoes for ${Object.keys(ships).length} ships`);
+    return ships;
+  });
+}
+
+/**
+ * Scrape reference ballistics (flight time and impact angle at known ranges) from shiptool.st
+ * The page path (URLS.ballistics) and its layout, one row per ship, shell type and range
+ * with "ship", "shell", "range", "flight time" and "impact angle" columns, are assumed and
+ * have not been checked against the live site. A page without such rows is an error, so a
+ * different layout can't pass validation with an empty reference.
+ * @param {Object} [session] - Session from openSession (default: a new one for this call)
+ * @returns {Promise<Object>} Reference {source, ships: {shipName: {shellType: [{range, flightTime, impactAngle}]}}}
+ */
+export async function scrapeBallisticsReference(session) {
+  return withSession(session, async session => {
+    log.info('Scraping reference ballistics...');
+    const rows = await session.scrapeTable(URLS.ballistics, { schema: TABLE_SCHEMAS.ballistics });
+
+    if (rows.length > 0) {
+      log.debug('  Ballistics table columns:', Object.keys(rows[0]));
+    }
+
+    const ships = {};
+    let pointCount = 0;
+    for (const row of rows) {
+      const name = row.ship || row.name;
+      const shellType = (row.shell || row.type || '').toLowerCase();
+      const range = parseNumeric(row.range);
+      const flightTime = parseNumeric(row['flight time']);
+      const impactAngle = parseNumeric(row['impact angle']);
+
+      if (!name || !['ap', 'he', 'sap'].includes(shellType) || range <= 0 || flightTime <= 0) {
+        continue;
+      }
+
+      ships[name] = ships[name] || {};
+      ships[name][shellType] = ships[name][shellType] || [];
+      ships[name][shellType].push({ range, flightTime, impactAngle });
+      pointCount++;
+    }
+
+    if (pointCount === 0) {
+      const columns = rows.length > 0 ? Object.keys(rows[0]).join(', ') : 'no rows';
+      throw new Error(`No reference points on ${URLS.ballistics}: expected ship, shell, range, flight time and impact angle columns (found: ${columns})`);
+    }
+
+    log.info(`  Found ${pointCount} reference points for ${Object.keys(ships).length} ships`);
+    return { source: URLS.base + URLS.ballistics, ships };
+  });
 }
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SCRAPER } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Create an empty scrape report
+ * @returns {Object} Report {tables: {url: {rows, attempts, error}}, dropped: [{table, ship, reason}], unmatched: [{table, name}]}
+ */
+export function createScrapeReport() {
+  return { tables: {}, dropped: [], unmatched: [] };
+}
+
+/**
+ * Record how a table was scraped
+ * @param {Object} report - Scrape report
+ * @param {string} url - Table URL
+ * @param {Object} result - {rows (row count), attempts, error (message if it failed)}
+ */
+export function recordTable(report, url, result) {
+  report.tables[url] = result;
+}
+
+/**
+ * Record a table row that was not used
+ * @param {Object} report - Scrape report
+ * @param {string} table - Table name, e.g. "ap"
+ * @param {string} ship - Ship name from the row
+ * @param {string} reason - Why the row was dropped
+ */
+export function recordDrop(report, table, ship, reason) {
+  report.dropped.push({ table, ship: ship || '(no name)', reason });
+}
+
+/**
+ * Record a ship name that matched no ship in the params table (once per table)
+ * @param {Object} report - Scrape report
+ * @param {string} table - Table name
+ * @param {string} name - Ship name as written in the table
+ */
+export function recordUnmatched(report, table, name) {
+  if (!report.unmatched.some(u => u.table === table && u.name === name)) {
+    report.unmatched.push({ table, name });
+  }
+}
+
+/**
+ * Log a scrape report: failed tables, dropped rows by reason and unmatched names
+ * @param {Object} report - Scrape report
+ */
+export function logScrapeReport(report) {
+  for (const [url, table] of Object.entries(report.tables)) {
+    if (table.error) log.error(`  [FAILED] ${url}: ${table.error} (${table.attempts} attempts)`);
+    else if (table.attempts > 1) log.warn(`  [RETRIED] ${url}: ${table.rows} rows after ${table.attempts} attempts`);
+  }
+
+  const byReason = new Map();
+  for (const drop of report.dropped) {
+    const key = `${drop.table}: ${drop.reason}`;
+    byReason.set(key, [...(byReason.get(key) ?? []), drop.ship]);
+  }
+  for (const [key, ships] of byReason) {
+    log.warn(`  [DROPPED] ${key} (${ships.length} rows)`);
+    log.debug(`      ${ships.join(', ')}`);
+  }
+
+  if (report.unmatched.length > 0) {
+    log.warn(`  [UNMATCHED] ${report.unmatched.length} names not found in the params table:`);
+    report.unmatched.forEach(u => log.warn(`      ${u.table}: ${u.name}`));
+  }
+
+  log.info(`  ${Object.keys(report.tables).length} tables, ${report.dropped.length} rows dropped, ${report.unmatched.length} unmatched names`);
+}
+
+/**
+ * Write the scrape report as JSON
+ * @param {Object} report - Scrape report
+ * @param {string} outDir - Output directory
+ */
+export async function writeScrapeReport(report, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `${SCRAPER.reportFile}.json`);
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf-8');
+  log.info(`  Written: ${jsonPath}`);
+}
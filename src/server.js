@@ -0,0 +1,236 @@
+import http from 'http';
+import { findShip, queryBallistics } from './pipeline.js';
+import { generateWeaponConfig, normalizeShipName } from './utils.js';
+import { SERVER } from './config.js';
+import { log } from './logger.js';
+
+const SHELL_TYPES = ['ap', 'he', 'sap'];
+
+/**
+ * Create an error that is sent back as a JSON error response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Parse a comma-separated filter value
+ * @param {string|null} value - Query parameter, e.g. "BB,CA"
+ * @returns {string[]|null} Lowercase values, or null if not given
+ */
+function parseFilter(value) {
+  if (value === null) return null;
+  return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Build a ship filter from the class, nation and tier query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Function} (shipResult) => boolean
+ */
+function shipFilter(params) {
+  const classes = parseFilter(params.get('class'));
+  const nations = parseFilter(params.get('nation'));
+  const tiers = parseFilter(params.get('tier'));
+
+  return ship =>
+    (!classes || classes.includes(ship.class.toLowerCase())) &&
+    (!nations || nations.includes((ship.nation ?? '').toLowerCase())) &&
+    (!tiers || tiers.includes(String(ship.tier)));
+}
+
+/**
+ * Check a shell type parameter
+ * @param {string} shellType - Shell type from the request
+ * @returns {string} Lowercase shell type
+ */
+function checkShellType(shellType) {
+  const type = shellType.toLowerCase();
+  if (!SHELL_TYPES.includes(type)) {
+    throw httpError(400, `Unknown shell type "${shellType}" (expected ${SHELL_TYPES.join(', ')})`);
+  }
+  return type;
+}
+
+/**
+ * Find a ship in the dataset
+ * @param {Object} dataset - {shipData, summary}
+ * @param {string} name - URL-decoded ship name
+ * @returns {string} Ship name as in the dataset
+ */
+function requireShip(dataset, name) {
+  const shipName = findShip(dataset.summary.ships, name);
+  if (!shipName) throw httpError(404, `Ship not found: ${name}`);
+  return shipName;
+}
+
+/**
+ * GET /ships: ship list, filtered by class, nation and tier
+ * @param {Object} dataset - {shipData, summary}
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} {count, ships: [{name, class, nation, tier, modifiedRange, shells}]}
+ */
+function listShips(dataset, params) {
+  const filter = shipFilter(params);
+  const ships = Object.entries(dataset.summary.ships)
+    .filter(([, ship]) => filter(ship))
+    .map(([name, ship]) => ({
+      name,
+      class: ship.class,
+      nation: ship.nation,
+      tier: ship.tier ?? null,
+      modifiedRange: ship.modifiedRange,
+      shells: Object.keys(ship.shells)
+    }));
+
+  return { count: ships.length, ships };
+}
+
+/**
+ * GET /ships/:name/ballistics: ballistics at a range (default max range)
+ * @param {Object} dataset - {shipData, summary}
+ * @param {string} shipName - Ship name as in the dataset
+ * @param {URLSearchParams} params - Query parameters (shell, range)
+ * @returns {Object} queryBallistics result with the ship name
+ */
+function shipBallistics(dataset, shipName, params) {
+  const shells = params.has('shell') ? [checkShellType(params.get('shell'))] : undefined;
+  const rangeKm = params.has('range') ? parseFloat(params.get('range')) : undefined;
+  if (rangeKm !== undefined && !(rangeKm > 0)) {
+    throw httpError(400, `Invalid range: ${params.get('range')}`);
+  }
+
+  return { name: shipName, ...queryBallistics(dataset.shipData[shipName], shipName, { rangeKm, shells, profile: dataset.profile }) };
+}
+
+/**
+ * GET /configs/:shellType: weapon configs for one shell type, filtered like /ships
+ * @param {Object} dataset - {shipData, summary}
+ * @param {string} shellType - Shell type (ap, he, sap)
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Weapon config XML
+ */
+function shellConfigs(dataset, shellType, params) {
+  const filter = shipFilter(params);
+  const configs = [];
+
+  for (const [shipName, ship] of Object.entries(dataset.summary.ships)) {
+    const shell = ship.shells[shellType];
+    if (!shell || !filter(ship)) continue;
+
+    configs.push(generateWeaponConfig(
+      ship.weaponName ?? normalizeShipName(shipName),
+      shellType,
+      shell.bands,
+      ship.class,
+      shipName,
+      shell.shellProps.caliber,
+      ship.pitch?.[shellType]
+    ));
+  }
+
+  return configs.join('\n\n');
+}
+
+/**
+ * Parse a request URL (path and query)
+ * @param {string} target - Request target from the request line
+ * @returns {URL} Parsed URL
+ */
+function parseRequestUrl(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch {
+    throw httpError(400, `Malformed request URL: ${target}`);
+  }
+}
+
+/**
+ * Decode a URL path segment
+ * @param {string} segment - Percent-encoded segment
+ * @returns {string} Decoded segment
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError(400, `Malformed path segment: ${segment}`);
+  }
+}
+
+/**
+ * Route a request
+ * @param {Object} dataset - {shipData, summary}
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @returns {Object} {body, type} (type defaults to JSON)
+ */
+export function handleRequest(dataset, method, url) {
+  if (method !== 'GET') throw httpError(405, `Method not allowed: ${method}`);
+
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeSegment);
+  const params = url.searchParams;
+
+  if (parts[0] === 'ships' && parts.length === 1) {
+    return { body: listShips(dataset, params) };
+  }
+  if (parts[0] === 'ships' && parts.length === 2) {
+    const shipName = requireShip(dataset, parts[1]);
+    return { body: { name: shipName, ...dataset.summary.ships[shipName] } };
+  }
+  if (parts[0] === 'ships' && parts.length === 3 && parts[2] === 'ballistics') {
+    return { body: shipBallistics(dataset, requireShip(dataset, parts[1]), params) };
+  }
+  if (parts[0] === 'configs' && parts.length === 2) {
+    return { body: shellConfigs(dataset, checkShellType(parts[1]), params), type: 'text/plain; charset=utf-8' };
+  }
+
+  throw httpError(404, `Not found: ${url.pathname}`);
+}
+
+/**
+ * Create the HTTP server for a calculated dataset
+ * @param {Object} dataset - {shipData (after overrides), summary (from calculatePhase), profile (the summary's profile name)}
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createServer(dataset) {
+  return http.createServer((req, res) => {
+    let response;
+
+    try {
+      response = { status: 200, ...handleRequest(dataset, req.method, parseRequestUrl(req.url)) };
+    } catch (err) {
+      if (!err.status) log.error(`  [SERVER] ${req.method} ${req.url}:`, err);
+      response = { status: err.status ?? 500, body: { error: err.status ? err.message : 'Internal error' } };
+    }
+
+    const type = response.type ?? 'application/json; charset=utf-8';
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body, null, 2);
+    res.writeHead(response.status, { 'Content-Type': type });
+    res.end(body);
+    log.debug(`  [SERVER] ${req.method} ${req.url} -> ${response.status}`);
+  });
+}
+
+/**
+ * Start the server and wait until it listens
+ * @param {Object} dataset - {shipData, summary}
+ * @param {Object} options - {port, host} (default SERVER)
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startServer(dataset, options = {}) {
+  const port = options.port ?? SERVER.port;
+  const host = options.host ?? SERVER.host;
+  const server = createServer(dataset);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      log.info(`\nServing ballistics on http://${host}:${port}/ (Ctrl+C to stop)`);
+      resolve(server);
+    });
+  });
+}
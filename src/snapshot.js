@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SNAPSHOT, URLS } from './config.js';
+
+/**
+ * Write a raw data snapshot (scraped ship and sonar data) to disk
+ * @param {string} filePath - Snapshot file path
+ * @param {Object} shipData - Ship data keyed by ship name (from scrapeShipData)
+ * @param {Object} sonarData - Sonar data keyed by ship name (from scrapeSonarData)
+ * @param {Object} [torpedoData] - Torpedo data keyed by ship name (from scrapeTorpedoData)
+ * @param {string} [source] - Where the data came from (default: the shiptool.st URL)
+ * @returns {Promise<Object>} The snapshot that was written
+ */
+export async function saveSnapshot(filePath, shipData, sonarData, torpedoData = {}, source = URLS.base) {
+  const snapshot = {
+    version: SNAPSHOT.version,
+    createdAt: new Date().toISOString(),
+    source,
+    ships: shipData,
+    sonar: sonarData,
+    torpedoes: torpedoData
+  };
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), 'utf-8');
+  return snapshot;
+}
+
+/**
+ * Read a raw data snapshot from disk
+ * @param {string} filePath - Snapshot file path
+ * @returns {Promise<Object>} Snapshot {version, createdAt, source, ships, sonar, torpedoes}
+ */
+export async function loadSnapshot(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Snapshot not found: ${filePath} (run a scrape first)`);
+    }
+    throw err;
+  }
+
+  const snapshot = JSON.parse(raw);
+
+  if (snapshot.version !== SNAPSHOT.version) {
+    throw new Error(
+      `Snapshot ${filePath} has version ${snapshot.version}, expected ${SNAPSHOT.version} (re-scrape to update it)`
+    );
+  }
+  if (!snapshot.ships || typeof snapshot.ships !== 'object') {
+    throw new Error(`Snapshot ${filePath} is missing ship data`);
+  }
+
+  return {
+    ...snapshot,
+    sonar: snapshot.sonar || {},
+    torpedoes: snapshot.torpedoes || {}
+  };
+}
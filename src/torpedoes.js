@@ -0,0 +1,95 @@
+import { resolveRangeModifiers } from './physics.js';
+import { normalizeShipName } from './utils.js';
+import { RANGE_MODIFIERS, TORPEDOES } from './config.js';
+
+/**
+ * Convert a torpedo speed to a BulletSpeed factor
+ * @param {number} speedKts - Torpedo speed in knots
+ * @returns {number} BulletSpeed
+ */
+export function torpedoBulletSpeed(speedKts) {
+  return speedKts / TORPEDOES.speedDivisor;
+}
+
+/**
+ * Apply a profile's torpedo modifiers to one torpedo
+ * Speed: listed speed plus every speedKts, then times every speedMultiplier.
+ * Range: listed range times every multiplier. Stacking follows RANGE_MODIFIERS groups.
+ * @param {Object} torpedo - Torpedo {name, speedKts, range}
+ * @param {Object} ship - {shipClass, hasSpotter, shipName, nation}
+ * @param {Object} profile - Loadout profile
+ * @returns {Object} {speedKts, range, modifiers: string[]}
+ */
+export function applyTorpedoModifiers(torpedo, ship, profile) {
+  const modifiers = resolveRangeModifiers({ ...ship, battery: 'torpedo' }, profile);
+  const data = modifiers.map(({ id }) => RANGE_MODIFIERS[id]);
+
+  const speedKts = data.reduce((speed, m) => speed + (m.speedKts ?? 0), torpedo.speedKts);
+  return {
+    speedKts: data.reduce((speed, m) => speed * (m.speedMultiplier ?? 1), speedKts),
+    range: modifiers.reduce((range, { multiplier }) => range * multiplier, torpedo.range),
+    modifiers: modifiers.map(m => m.id)
+  };
+}
+
+/**
+ * Weapon name part for a torpedo variant
+ * @param {string} name - Torpedo name, e.g. "Type 93 mod. 3"
+ * @returns {string} e.g. "_Type_93_mod_3"
+ */
+function variantTag(name) {
+  const tag = String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+  return tag ? `_${tag}` : '';
+}
+
+/**
+ * Calculate torpedo weapons for every ship and torpedo variant
+ * @param {Object} torpedoData - Torpedo data keyed by ship name {class, nation, torpedoes: [{name, speedKts, range, deepWater}]}
+ * @param {Object} shipData - Ship data keyed by ship name (for weapon name overrides and spotter)
+ * @param {Object} profile - Loadout profile
+ * @returns {Object} Keyed by ship name: {class, nation, torpedoes: [{name, weaponName, deepWater,
+ *   baseSpeedKts, baseRange, speedKts, range, bulletSpeed, rangeModifiers}]}
+ */
+export function calculateTorpedoes(torpedoData, shipData, profile) {
+  const results = {};
+
+  for (const [shipName, ship] of Object.entries(torpedoData)) {
+    const data = shipData[shipName];
+    const weapon = data?.weaponName ?? normalizeShipName(shipName);
+    const several = ship.torpedoes.length > 1;
+
+    results[shipName] = {
+      class: ship.class,
+      nation: ship.nation,
+      torpedoes: ship.torpedoes.map(torpedo => {
+        const modified = applyTorpedoModifiers(torpedo, {
+          shipClass: ship.class,
+          hasSpotter: data?.hasSpotter ?? false,
+          shipName,
+          nation: ship.nation
+        }, profile);
+        const name = TORPEDOES.nameFormat
+          .replace('{weapon}', weapon)
+          .replace('{variant}', several ? variantTag(torpedo.name) : '');
+
+        return {
+          name: torpedo.name,
+          weaponName: name + profile.suffix,
+          deepWater: torpedo.deepWater ?? false,
+          baseSpeedKts: torpedo.speedKts,
+          baseRange: torpedo.range,
+          speedKts: modified.speedKts,
+          range: modified.range,
+          bulletSpeed: torpedoBulletSpeed(modified.speedKts),
+          rangeModifiers: modified.modifiers
+        };
+      })
+    };
+  }
+
+  return results;
+}
@@ -1,4 +1,6 @@
-import { SHIP_NAME_MAPPINGS, PITCH, SONAR } from './config.js';
+import { SHIP_NAME_MAPPINGS, PITCH, SONAR, TORPEDOES, MODIFIERS, BANDS } from './config.js';
+
+export const KNOTS_TO_MPS = 0.514444;
 
 /**
  * Normalize ship name for config output
@@ -42,6 +44,22 @@ export function normalizeShipName(name) {
   return weaponName;
 }
 
+/**
+ * Normalize ship name for cross-table matching
+ * @param {string} name - Ship name
+ * @returns {string} Lowercased name without diacritics, apostrophes or dots
+ */
+export function normalizeForMatching(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[''ʼ`']/g, '')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ');
+}
+
 /**
  * Calculate BulletSpeed factor
  * @param {number} rangeKm - Range in kilometers
@@ -71,16 +89,52 @@ export function calculateConvertedRange(rangeKm) {
 }
 
 /**
- * Generate weapon config XML for a ship
- * @param {string} shipName - Normalized ship name
+ * Flight time implied by a BulletSpeed factor (inverse of calculateFactor)
+ * @param {number} rangeKm - Range in kilometers
+ * @param {number} factor - BulletSpeed factor
+ * @param {number} impactAngleDeg - Impact angle in degrees
+ * @returns {number} Implied flight time in seconds
+ */
+export function impliedFlightTime(rangeKm, factor, impactAngleDeg) {
+  const cosAngle = Math.cos((impactAngleDeg * Math.PI) / 180);
+  return (rangeKm * 1000) / (factor * 32 * cosAngle);
+}
+
+/**
+ * Impact angle implied by a BulletSpeed factor for a given flight time (inverse of calculateFactor)
+ * @param {number} rangeKm - Range in kilometers
+ * @param {number} factor - BulletSpeed factor
+ * @param {number} flightTime - Flight time in seconds
+ * @returns {number} Implied impact angle in degrees (0 if the factor is too slow for any angle)
+ */
+export function impliedImpactAngle(rangeKm, factor, flightTime) {
+  const cosAngle = (rangeKm * 1000) / (factor * 32 * flightTime);
+  return cosAngle >= 1 ? 0 : Math.acos(cosAngle) * 180 / Math.PI;
+}
+
+/**
+ * Calculate the lead error of a BulletSpeed factor against true ballistics
+ * @param {number} rangeKm - Range in kilometers
+ * @param {Object} ballistics - True ballistics at that range {flightTime, impactAngle}
+ * @param {number} factor - BulletSpeed factor used at that range
+ * @param {number} targetSpeedKts - Target speed used to express the error in metres
+ * @returns {Object} Signed error {seconds, meters} (positive = config leads too far)
+ */
+export function calculateLeadError(rangeKm, ballistics, factor, targetSpeedKts = BANDS.targetSpeedKts) {
+  const seconds = impliedFlightTime(rangeKm, factor, ballistics.impactAngle) - ballistics.flightTime;
+  return { seconds, meters: seconds * targetSpeedKts * KNOTS_TO_MPS };
+}
+
+/**
+ * Resolve the lower and upper range pitch for a weapon
  * @param {string} shellType - Shell type (ap, he, sap)
- * @param {Object} rangeData - Range data {halfRange, halfFactor, maxRange, maxFactor}
  * @param {string} shipClass - Ship class (BB, CA, CB, CL, DD)
  * @param {string} originalShipName - Original ship name for override lookup
  * @param {number} caliber - Gun caliber in mm (used for CL/CA classification)
- * @returns {string} Weapon config XML
+ * @param {number} [pitchOverride] - Pitch from the overrides file (takes precedence over PITCH.shipOverrides)
+ * @returns {Object} {lower, upper} pitch values
  */
-export function generateWeaponConfig(shipName, shellType, rangeData, shipClass, originalShipName, caliber) {
+export function resolvePitch(shellType, shipClass, originalShipName, caliber, pitchOverride) {
   // Determine effective class: cruisers classified by caliber
   let effectiveClass = shipClass;
   if (['CA', 'CL', 'CB'].includes(shipClass) && caliber) {
@@ -88,21 +142,42 @@ export function generateWeaponConfig(shipName, shellType, rangeData, shipClass,
   }
 
   // Check for ship-specific override first
-  const shipOverride = PITCH.shipOverrides?.[originalShipName]?.[shellType];
+  const shipOverride = pitchOverride ?? PITCH.shipOverrides?.[originalShipName]?.[shellType];
   const pitch = shipOverride !== undefined
     ? shipOverride
     : (shellType === 'ap')
       ? (PITCH.ap[effectiveClass] ?? PITCH.ap.default)
       : (PITCH.other[effectiveClass] ?? PITCH.other.default);
 
-  const halfConv = calculateConvertedRange(rangeData.halfRange);
-  const maxConv = calculateConvertedRange(rangeData.maxRange + 0.5); // 0.5km buffer
   const upperPitch = (shellType === 'ap')
     ? (shipClass === 'BB' ? PITCH.ap.BB_upper : 0)
     : pitch;
 
-  return `<Weapon ${shipName}>
-\t<FireMode>
+  return { lower: pitch, upper: upperPitch };
+}
+
+/**
+ * Pitch for one band: lower pitch for the first band, upper pitch for the last,
+ * linearly interpolated in between
+ * @param {Object} pitch - {lower, upper} from resolvePitch
+ * @param {number} index - Band index
+ * @param {number} count - Number of bands
+ * @returns {number} Pitch value
+ */
+export function bandPitch(pitch, index, count) {
+  if (index === 0) return pitch.lower;
+  if (index === count - 1) return pitch.upper;
+  const t = index / (count - 1);
+  return Number((pitch.lower + (pitch.upper - pitch.lower) * t).toFixed(4));
+}
+
+/**
+ * Generate FireMode config XML
+ * @param {Object} fireMode - {minRange, maxRange (converted units or -1), bulletSpeed, pitch}
+ * @returns {string} FireMode config XML (indented for a Weapon block)
+ */
+function generateFireMode({ minRange, maxRange, bulletSpeed, pitch }) {
+  return `\t<FireMode>
 \t\t<HitLocations>
 \t\t\t<HitData>
 \t\t\t\t<HitZone 2></HitZone>
@@ -114,8 +189,8 @@ export function generateWeaponConfig(shipName, shellType, rangeData, shipClass,
 \t\t\t\t<MaxTargetHealth -1></MaxTargetHealth>
 \t\t\t\t<MinPlayerZoom -1></MinPlayerZoom>
 \t\t\t\t<MaxPlayerZoom -1></MaxPlayerZoom>
-\t\t\t\t<MinRange -1></MinRange>
-\t\t\t\t<MaxRange ${halfConv}></MaxRange>
+\t\t\t\t<MinRange ${minRange}></MinRange>
+\t\t\t\t<MaxRange ${maxRange}></MaxRange>
 \t\t\t\t<MinAngle -1></MinAngle>
 \t\t\t\t<MaxAngle -1></MaxAngle>
 \t\t\t</HitData>
@@ -127,7 +202,7 @@ export function generateWeaponConfig(shipName, shellType, rangeData, shipClass,
 \t\t<CanHitPlane True></CanHitPlane>
 \t\t<CanHitHeli True></CanHitHeli>
 \t\t<CanHitBoat True></CanHitBoat>
-\t\t<BulletSpeed ${rangeData.halfFactor.toFixed(2)}></BulletSpeed>
+\t\t<BulletSpeed ${bulletSpeed.toFixed(2)}></BulletSpeed>
 \t\t<BulletDrop -1></BulletDrop>
 \t\t<MinZoomLevel -1></MinZoomLevel>
 \t\t<AutoZoom False></AutoZoom>
@@ -136,55 +211,85 @@ export function generateWeaponConfig(shipName, shellType, rangeData, shipClass,
 \t\t<BulletTargetSpeedScale 1.0></BulletTargetSpeedScale>
 \t\t<PitchToAdd ${pitch}></PitchToAdd>
 \t\t<YawToAdd 0></YawToAdd>
-\t</FireMode>
-\t<FireMode>
-\t\t<HitLocations>
-\t\t\t<HitData>
-\t\t\t\t<HitZone 2></HitZone>
-\t\t\t\t<MinPlayerSpeed -1></MinPlayerSpeed>
-\t\t\t\t<MaxPlayerSpeed -1></MaxPlayerSpeed>
-\t\t\t\t<MinTargetSpeed -1></MinTargetSpeed>
-\t\t\t\t<MaxTargetSpeed -1></MaxTargetSpeed>
-\t\t\t\t<MinTargetHealth -1></MinTargetHealth>
-\t\t\t\t<MaxTargetHealth -1></MaxTargetHealth>
-\t\t\t\t<MinPlayerZoom -1></MinPlayerZoom>
-\t\t\t\t<MaxPlayerZoom -1></MaxPlayerZoom>
-\t\t\t\t<MinRange ${halfConv}></MinRange>
-\t\t\t\t<MaxRange ${maxConv}></MaxRange>
-\t\t\t\t<MinAngle -1></MinAngle>
-\t\t\t\t<MaxAngle -1></MaxAngle>
-\t\t\t</HitData>
-\t\t</HitLocations>
-\t\t<Valid True></Valid>
-\t\t<CanHitPlayer True></CanHitPlayer>
-\t\t<CanHitVehicle True></CanHitVehicle>
-\t\t<CanHitArmor True></CanHitArmor>
-\t\t<CanHitPlane True></CanHitPlane>
-\t\t<CanHitHeli True></CanHitHeli>
-\t\t<CanHitBoat True></CanHitBoat>
-\t\t<BulletSpeed ${rangeData.maxFactor.toFixed(2)}></BulletSpeed>
-\t\t<BulletDrop -1></BulletDrop>
-\t\t<MinZoomLevel -1></MinZoomLevel>
-\t\t<AutoZoom False></AutoZoom>
-\t\t<Trigger 0></Trigger>
-\t\t<BulletPlayerSpeedScale 0.0></BulletPlayerSpeedScale>
-\t\t<BulletTargetSpeedScale 1.0></BulletTargetSpeedScale>
-\t\t<PitchToAdd ${upperPitch}></PitchToAdd>
-\t\t<YawToAdd 0></YawToAdd>
-\t</FireMode>
+\t</FireMode>`;
+}
+
+/**
+ * Build the FireMode values for a weapon
+ * One FireMode per range band: the first starts at -1, the last ends at max range plus buffer
+ * @param {string} shellType - Shell type (ap, he, sap)
+ * @param {Array} bands - Range bands [{minRange, maxRange, factor, pitch?}] in km, ascending
+ * @param {string} shipClass - Ship class (BB, CA, CB, CL, DD)
+ * @param {string} originalShipName - Original ship name for override lookup
+ * @param {number} caliber - Gun caliber in mm (used for CL/CA classification)
+ * @param {number} [pitchOverride] - Pitch from the overrides file
+ * @returns {Array} FireModes [{minRange, maxRange (converted units or -1), bulletSpeed, pitch}]
+ */
+export function buildFireModes(shellType, bands, shipClass, originalShipName, caliber, pitchOverride) {
+  const pitch = resolvePitch(shellType, shipClass, originalShipName, caliber, pitchOverride);
+
+  return bands.map((band, i) => {
+    const isLast = i === bands.length - 1;
+    return {
+      minRange: i === 0 ? -1 : calculateConvertedRange(bands[i - 1].maxRange),
+      maxRange: calculateConvertedRange(isLast ? band.maxRange + MODIFIERS.rangeBufferKm : band.maxRange),
+      bulletSpeed: band.factor,
+      pitch: band.pitch ?? bandPitch(pitch, i, bands.length)
+    };
+  });
+}
+
+/**
+ * Build the FireMode values for a submarine sonar
+ * @param {number} bulletSpeed - Pre-calculated BulletSpeed (waveSpeed / 12.5)
+ * @returns {Object} FireMode {minRange, maxRange, bulletSpeed, pitch}
+ */
+export function buildSonarFireMode(bulletSpeed) {
+  const maxRange = calculateConvertedRange(20); // Fixed 20 km max range for sonar
+  return { minRange: -1, maxRange, bulletSpeed, pitch: SONAR.pitch };
+}
+
+/**
+ * Build the FireMode values for a torpedo
+ * @param {number} bulletSpeed - Pre-calculated BulletSpeed (speed kts / TORPEDOES.speedDivisor)
+ * @param {number} rangeKm - Torpedo range in kilometers (with modifiers)
+ * @returns {Object} FireMode {minRange, maxRange, bulletSpeed, pitch}
+ */
+export function buildTorpedoFireMode(bulletSpeed, rangeKm) {
+  const maxRange = calculateConvertedRange(rangeKm + MODIFIERS.rangeBufferKm);
+  return { minRange: -1, maxRange, bulletSpeed, pitch: TORPEDOES.pitch };
+}
+
+/**
+ * Generate weapon config XML for a ship
+ * @param {string} shipName - Normalized ship name
+ * @param {string} shellType - Shell type (ap, he, sap)
+ * @param {Array} bands - Range bands [{minRange, maxRange, factor, pitch?}] in km, ascending
+ * @param {string} shipClass - Ship class (BB, CA, CB, CL, DD)
+ * @param {string} originalShipName - Original ship name for override lookup
+ * @param {number} caliber - Gun caliber in mm (used for CL/CA classification)
+ * @param {number} [pitchOverride] - Pitch from the overrides file
+ * @returns {string} Weapon config XML
+ */
+export function generateWeaponConfig(shipName, shellType, bands, shipClass, originalShipName, caliber, pitchOverride) {
+  const fireModes = buildFireModes(shellType, bands, shipClass, originalShipName, caliber, pitchOverride);
+
+  return `<Weapon ${shipName}>
+${fireModes.map(generateFireMode).join('\n')}
 </Weapon>`;
 }
 
 /**
  * Assign shell configs to output files
  * @param {string} shipName - Normalized ship name
- * @param {Object} shellResults - Shell results {he, ap, sap}
+ * @param {Object} shellResults - Range bands per shell type {he, ap, sap}
  * @param {string} shipClass - Ship class
  * @param {string} originalShipName - Original ship name for override lookup
  * @param {number} caliber - Gun caliber in mm (used for CL/CA classification)
+ * @param {Object} [pitchOverrides] - Pitch per shell type from the overrides file
  * @returns {Object} {heConfigs, apConfigs} arrays
  */
-export function assignToFiles(shipName, shellResults, shipClass, originalShipName, caliber) {
+export function assignToFiles(shipName, shellResults, shipClass, originalShipName, caliber, pitchOverrides = {}) {
   const hasHE = 'he' in shellResults;
   const hasAP = 'ap' in shellResults;
   const hasSAP = 'sap' in shellResults;
@@ -194,19 +299,19 @@ export function assignToFiles(shipName, shellResults, shipClass, originalShipNam
 
   // HE.cfg: HE if available, else SAP, else AP as fallback
   if (hasHE) {
-    heConfigs.push(generateWeaponConfig(shipName, 'he', shellResults.he, shipClass, originalShipName, caliber));
+    heConfigs.push(generateWeaponConfig(shipName, 'he', shellResults.he, shipClass, originalShipName, caliber, pitchOverrides.he));
   } else if (hasSAP) {
-    heConfigs.push(generateWeaponConfig(shipName, 'sap', shellResults.sap, shipClass, originalShipName, caliber));
+    heConfigs.push(generateWeaponConfig(shipName, 'sap', shellResults.sap, shipClass, originalShipName, caliber, pitchOverrides.sap));
   } else if (hasAP) {
-    heConfigs.push(generateWeaponConfig(shipName, 'ap', shellResults.ap, shipClass, originalShipName, caliber));
+    heConfigs.push(generateWeaponConfig(shipName, 'ap', shellResults.ap, shipClass, originalShipName, caliber, pitchOverrides.ap));
   }
 
   // AP.cfg: AP always, SAP only if ship has HE
   if (hasAP) {
-    apConfigs.push(generateWeaponConfig(shipName, 'ap', shellResults.ap, shipClass, originalShipName, caliber));
+    apConfigs.push(generateWeaponConfig(shipName, 'ap', shellResults.ap, shipClass, originalShipName, caliber, pitchOverrides.ap));
   }
   if (hasSAP && hasHE) {
-    apConfigs.push(generateWeaponConfig(shipName, 'sap', shellResults.sap, shipClass, originalShipName, caliber));
+    apConfigs.push(generateWeaponConfig(shipName, 'sap', shellResults.sap, shipClass, originalShipName, caliber, pitchOverrides.sap));
   }
 
   return { heConfigs, apConfigs };
@@ -221,43 +326,21 @@ export function assignToFiles(shipName, shellResults, shipClass, originalShipNam
  * @returns {string} Weapon config XML
  */
 export function generateSonarConfig(shipName, bulletSpeed, rangeKm) {
-  const maxRange = calculateConvertedRange(20); // Fixed 20 km max range for sonar
-
   return `<Weapon ${shipName}>
-\t<FireMode>
-\t\t<HitLocations>
-\t\t\t<HitData>
-\t\t\t\t<HitZone 2></HitZone>
-\t\t\t\t<MinPlayerSpeed -1></MinPlayerSpeed>
-\t\t\t\t<MaxPlayerSpeed -1></MaxPlayerSpeed>
-\t\t\t\t<MinTargetSpeed -1></MinTargetSpeed>
-\t\t\t\t<MaxTargetSpeed -1></MaxTargetSpeed>
-\t\t\t\t<MinTargetHealth -1></MinTargetHealth>
-\t\t\t\t<MaxTargetHealth -1></MaxTargetHealth>
-\t\t\t\t<MinPlayerZoom -1></MinPlayerZoom>
-\t\t\t\t<MaxPlayerZoom -1></MaxPlayerZoom>
-\t\t\t\t<MinRange -1></MinRange>
-\t\t\t\t<MaxRange ${maxRange}></MaxRange>
-\t\t\t\t<MinAngle -1></MinAngle>
-\t\t\t\t<MaxAngle -1></MaxAngle>
-\t\t\t</HitData>
-\t\t</HitLocations>
-\t\t<Valid True></Valid>
-\t\t<CanHitPlayer True></CanHitPlayer>
-\t\t<CanHitVehicle True></CanHitVehicle>
-\t\t<CanHitArmor True></CanHitArmor>
-\t\t<CanHitPlane True></CanHitPlane>
-\t\t<CanHitHeli True></CanHitHeli>
-\t\t<CanHitBoat True></CanHitBoat>
-\t\t<BulletSpeed ${bulletSpeed.toFixed(2)}></BulletSpeed>
-\t\t<BulletDrop -1></BulletDrop>
-\t\t<MinZoomLevel -1></MinZoomLevel>
-\t\t<AutoZoom False></AutoZoom>
-\t\t<Trigger 0></Trigger>
-\t\t<BulletPlayerSpeedScale 0.0></BulletPlayerSpeedScale>
-\t\t<BulletTargetSpeedScale 1.0></BulletTargetSpeedScale>
-\t\t<PitchToAdd ${SONAR.pitch}></PitchToAdd>
-\t\t<YawToAdd 0></YawToAdd>
-\t</FireMode>
+${generateFireMode(buildSonarFireMode(bulletSpeed))}
+</Weapon>`;
+}
+
+/**
+ * Generate torpedo config XML for one torpedo of a ship
+ * Uses a single FireMode like sonar (constant speed, no ballistics)
+ * @param {string} weaponName - Torpedo weapon name
+ * @param {number} bulletSpeed - Pre-calculated BulletSpeed (speed kts / TORPEDOES.speedDivisor)
+ * @param {number} rangeKm - Torpedo range in kilometers (with modifiers)
+ * @returns {string} Weapon config XML
+ */
+export function generateTorpedoConfig(weaponName, bulletSpeed, rangeKm) {
+  return `<Weapon ${weaponName}>
+${generateFireMode(buildTorpedoFireMode(bulletSpeed, rangeKm))}
 </Weapon>`;
 }
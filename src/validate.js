@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getBallisticsAtRange } from './physics.js';
+import { normalizeForMatching } from './utils.js';
+import { VALIDATION } from './config.js';
+import { log } from './logger.js';
+
+/**
+ * Read a saved reference ballistics file
+ * @param {string} filePath - Reference file path
+ * @returns {Promise<Object>} Reference {source, ships: {shipName: {shellType: [{range, flightTime, impactAngle}]}}}
+ */
+export async function loadReference(filePath) {
+  let reference;
+  try {
+    reference = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Reference file not found: ${filePath} (run validate --scrape-reference first)`);
+    }
+    throw err;
+  }
+
+  if (!reference.ships || typeof reference.ships !== 'object') {
+    throw new Error(`Reference file ${filePath} is missing ship data`);
+  }
+  return reference;
+}
+
+/**
+ * Save reference ballistics to disk
+ * @param {string} filePath - Reference file path
+ * @param {Object} reference - Reference from scrapeBallisticsReference
+ */
+export async function saveReference(filePath, reference) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ ...reference, createdAt: new Date().toISOString() }, null, 2), 'utf-8');
+  log.info(`  Written: ${filePath}`);
+}
+
+/**
+ * Relative error in percent, flagged if above the threshold and not within rounding
+ * @param {number} calculated - Calculated value
+ * @param {number} expected - Reference value
+ * @param {number} minAbs - Absolute error that is always accepted
+ * @param {number} maxPct - Maximum accepted error (%)
+ * @returns {Object} {errorPct, flagged}
+ */
+function compare(calculated, expected, minAbs, maxPct) {
+  const absError = Math.abs(calculated - expected);
+  const errorPct = expected !== 0 ? (absError / Math.abs(expected)) * 100 : (absError > 0 ? Infinity : 0);
+  return { errorPct, flagged: errorPct > maxPct && absError > minAbs };
+}
+
+/**
+ * Compare calculated ballistics with reference values
+ * @param {Object} shipData - Ship data keyed by ship name
+ * @param {Object} reference - Reference from loadReference
+ * @param {Object} options - {maxErrorPct, minAbsError}
+ * @returns {Object} {maxErrorPct, ships: [...] sorted by worst error, missing: string[], flaggedCount}
+ */
+export function validateAgainstReference(shipData, reference, options = {}) {
+  const maxErrorPct = options.maxErrorPct ?? VALIDATION.maxErrorPct;
+  const minAbsError = { ...VALIDATION.minAbsError, ...options.minAbsError };
+  const byMatchName = new Map(Object.keys(shipData).map(name => [normalizeForMatching(name), name]));
+
+  const ships = [];
+  const missing = [];
+  let flaggedCount = 0;
+
+  for (const [refName, shells] of Object.entries(reference.ships)) {
+    const shipName = byMatchName.get(normalizeForMatching(refName));
+    if (!shipName) {
+      missing.push(refName);
+      continue;
+    }
+
+    const points = [];
+    for (const [shellType, refPoints] of Object.entries(shells)) {
+      const shellProps = shipData[shipName].shells[shellType];
+      if (!shellProps) {
+        missing.push(`${refName} (${shellType})`);
+        continue;
+      }
+
+      for (const ref of refPoints) {
+        const calc = getBallisticsAtRange(ref.range, shellProps);
+        const flightTime = compare(calc.flightTime, ref.flightTime, minAbsError.flightTime, maxErrorPct);
+        const impactAngle = compare(calc.impactAngle, ref.impactAngle, minAbsError.impactAngle, maxErrorPct);
+        const flagged = flightTime.flagged || impactAngle.flagged;
+        if (flagged) flaggedCount++;
+
+        points.push({
+          shellType,
+          range: ref.range,
+          refFlightTime: ref.flightTime,
+          calcFlightTime: calc.flightTime,
+          flightTimeErrorPct: flightTime.errorPct,
+          refImpactAngle: ref.impactAngle,
+          calcImpactAngle: calc.impactAngle,
+          impactAngleErrorPct: impactAngle.errorPct,
+          flagged
+        });
+      }
+    }
+
+    if (points.length > 0) {
+      ships.push({
+        ship: shipName,
+        maxFlightTimeErrorPct: Math.max(...points.map(p => p.flightTimeErrorPct)),
+        maxImpactAngleErrorPct: Math.max(...points.map(p => p.impactAngleErrorPct)),
+        flagged: points.some(p => p.flagged),
+        points
+      });
+    }
+  }
+
+  const worst = s => Math.max(s.maxFlightTimeErrorPct, s.maxImpactAngleErrorPct);
+  ships.sort((a, b) => worst(b) - worst(a));
+
+  return { maxErrorPct, ships, missing, flaggedCount };
+}
+
+/**
+ * Print the validation result per ship
+ * @param {Object} result - Result from validateAgainstReference
+ */
+export function logValidation(result) {
+  for (const ship of result.ships) {
+    const tag = ship.flagged ? '[FAIL]' : '[OK]';
+    const line = `  ${tag} ${ship.ship}: flight time ${ship.maxFlightTimeErrorPct.toFixed(2)}%, impact angle ${ship.maxImpactAngleErrorPct.toFixed(2)}% (max)`;
+    ship.flagged ? log.warn(line) : log.info(line);
+
+    for (const p of ship.points.filter(point => point.flagged)) {
+      log.warn(`      ${p.shellType.toUpperCase()} @ ${p.range} km: flight time ${p.calcFlightTime.toFixed(2)} vs ${p.refFlightTime} s (${p.flightTimeErrorPct.toFixed(2)}%), impact angle ${p.calcImpactAngle.toFixed(2)} vs ${p.refImpactAngle}° (${p.impactAngleErrorPct.toFixed(2)}%)`);
+    }
+  }
+
+  if (result.missing.length > 0) {
+    log.warn(`  No ship data for reference entries: ${result.missing.join(', ')}`);
+  }
+
+  log.info(`\nValidated ${result.ships.length} ships: ${result.flaggedCount} points over ${result.maxErrorPct}% error`);
+}
+
+/**
+ * Write the validation result as JSON
+ * @param {Object} result - Result from validateAgainstReference
+ * @param {string} outDir - Output directory
+ */
+export async function writeValidationReport(result, outDir) {
+  await fs.mkdir(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `${VALIDATION.reportFile}.json`);
+  await fs.writeFile(jsonPath, JSON.stringify(result, null, 2), 'utf-8');
+  log.info(`  Written: ${jsonPath}`);
+}
@@ -0,0 +1,8 @@
+import { parentPort, workerData } from 'worker_threads';
+import { ENGINE } from './config.js';
+import { calculateShips } from './pipeline.js';
+
+// Phase 2 worker: calculates its share of ships and posts the outcomes back
+// (same engine settings as the main thread, which may have changed them from the CLI)
+Object.assign(ENGINE, workerData.engine);
+parentPort.postMessage(calculateShips(workerData.entries, workerData.options));
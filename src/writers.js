@@ -0,0 +1,359 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getBallisticsAtRange } from './physics.js';
+import {
+  normalizeShipName,
+  calculateFactor,
+  generateWeaponConfig,
+  assignToFiles,
+  generateSonarConfig,
+  generateTorpedoConfig,
+  buildFireModes,
+  buildSonarFireMode,
+  buildTorpedoFireMode
+} from './utils.js';
+import { mergeConfigFile, readManifest, writeManifest } from './merge.js';
+import { OUTPUT, SECONDARIES, TORPEDOES } from './config.js';
+import { log } from './logger.js';
+
+// Output writers by name
+const writers = new Map();
+
+/**
+ * Register an output writer
+ * @param {Object} writer - {name, description, write(summary, options): Promise<void>}
+ *   where options are the generatePhase options {outDir, shells, merge, pinned}
+ */
+export function registerWriter(writer) {
+  if (!writer.name || typeof writer.write !== 'function') {
+    throw new Error('Output writer needs a name and a write(summary, options) function');
+  }
+  writers.set(writer.name, writer);
+}
+
+/**
+ * Look up a registered output writer
+ * @param {string} name - Writer name
+ * @returns {Object} Writer
+ */
+export function getWriter(name) {
+  const writer = writers.get(name);
+  if (!writer) {
+    throw new Error(`Unknown output writer "${name}" (available: ${[...writers.keys()].join(', ')})`);
+  }
+  return writer;
+}
+
+/**
+ * List registered output writers
+ * @returns {Array} [{name, description}]
+ */
+export function listWriters() {
+  return [...writers.values()].map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Collect every weapon of a summary with its FireMode values, in summary order
+ * Unlike the XML files, every shell type gets its own entry.
+ * @param {Object} summary - Summary {ships, submarines, torpedoes}
+ * @param {string[]} [shells] - Shell types to include (default all)
+ * @returns {Array} [{ship, weapon, class, nation, battery, shellType, fireModes}]
+ *   (battery 'main', 'secondary', 'sonar' or 'torpedo'; shellType 'sonar' or 'torpedo' for those)
+ */
+export function collectWeapons(summary, shells) {
+  const weapons = [];
+
+  for (const [shipName, ship] of Object.entries(summary.ships)) {
+    if (ship.class === 'SS') continue;
+
+    const caliber = Object.values(ship.shells)[0]?.shellProps?.caliber;
+    for (const [shellType, shell] of Object.entries(ship.shells)) {
+      if (shells && !shells.includes(shellType)) continue;
+
+      weapons.push({
+        ship: shipName,
+        weapon: ship.weaponName ?? normalizeShipName(shipName),
+        class: ship.class,
+        nation: ship.nation,
+        battery: 'main',
+        shellType,
+        fireModes: buildFireModes(shellType, shell.bands, ship.class, shipName, caliber, ship.pitch?.[shellType])
+      });
+    }
+
+    for (const secondary of ship.secondaries ?? []) {
+      if (shells && !shells.includes(secondary.shellType)) continue;
+
+      weapons.push({
+        ship: shipName,
+        weapon: secondary.weaponName,
+        class: ship.class,
+        nation: ship.nation,
+        battery: 'secondary',
+        shellType: secondary.shellType,
+        fireModes: buildFireModes(secondary.shellType, secondary.bands, SECONDARIES.pitchClass, undefined, secondary.caliber)
+      });
+    }
+  }
+
+  for (const [shipName, sonar] of Object.entries(summary.submarines || {})) {
+    weapons.push({
+      ship: shipName,
+      weapon: normalizeShipName(shipName),
+      class: sonar.class,
+      nation: sonar.nation,
+      battery: 'sonar',
+      shellType: 'sonar',
+      fireModes: [buildSonarFireMode(sonar.bulletSpeed)]
+    });
+  }
+
+  for (const [shipName, ship] of Object.entries(summary.torpedoes || {})) {
+    for (const torpedo of ship.torpedoes) {
+      weapons.push({
+        ship: shipName,
+        weapon: torpedo.weaponName,
+        class: ship.class,
+        nation: ship.nation,
+        battery: 'torpedo',
+        shellType: 'torpedo',
+        fireModes: [buildTorpedoFireMode(torpedo.bulletSpeed, torpedo.range)]
+      });
+    }
+  }
+
+  return weapons;
+}
+
+/**
+ * Write a file into the output directory and log it
+ * @param {string} outDir - Output directory
+ * @param {string} fileName - File name
+ * @param {string} text - Contents
+ * @param {string} detail - Log detail
+ */
+async function writeOutput(outDir, fileName, text, detail) {
+  const filePath = path.join(outDir, fileName);
+  await fs.writeFile(filePath, text, 'utf-8');
+  log.info(`  Written: ${filePath} (${detail})`);
+}
+
+/**
+ * Print a merge summary for one config file
+ * @param {string} filePath - Merged config file
+ * @param {Object} changes - Changes from mergeConfigFile
+ */
+function logMergeChanges(filePath, changes) {
+  log.info(`  Merged: ${filePath} (${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed, ${changes.pinned.length} pinned, ${changes.unchanged.length} unchanged, ${changes.kept.length} manual kept)`);
+
+  for (const [label, names] of [['added', changes.added], ['removed', changes.removed], ['pinned', changes.pinned]]) {
+    if (names.length > 0) log.info(`    ${label}: ${names.join(', ')}`);
+  }
+  if (changes.updated.length > 0) log.debug(`    updated: ${changes.updated.join(', ')}`);
+  if (changes.untracked.length > 0) {
+    log.warn(`    ${changes.untracked.length} weapons share a generated name but no manifest says the generator wrote them, kept as hand-made: ${changes.untracked.join(', ')}`);
+    log.warn('    Delete them from the file to let the generator own them');
+  }
+}
+
+/**
+ * XML writer: HE.cfg, AP.cfg, and the secondary battery and torpedo files in the overlay's <Weapon> format (with --merge support)
+ */
+registerWriter({
+  name: 'xml',
+  description: `HE.cfg / AP.cfg / ${SECONDARIES.file} / ${TORPEDOES.file} <Weapon> configs`,
+  async write(summary, options) {
+    const { outDir } = options;
+    const heConfigs = [];
+    const apConfigs = [];
+    const secondaryConfigs = [];
+
+    for (const [shipName, shipResult] of Object.entries(summary.ships)) {
+      // Skip submarines - they only get sonar configs, not shell configs
+      if (shipResult.class === 'SS') continue;
+
+      const normalizedName = shipResult.weaponName ?? normalizeShipName(shipName);
+
+      // Range bands per shell type, as expected by assignToFiles
+      const shellResults = {};
+      for (const [shellType, shellData] of Object.entries(shipResult.shells)) {
+        if (options.shells && !options.shells.includes(shellType)) continue;
+
+        shellResults[shellType] = shellData.bands;
+      }
+
+      // Get caliber from any shell type (all same gun)
+      const caliber = Object.values(shipResult.shells)[0]?.shellProps?.caliber;
+
+      const { heConfigs: he, apConfigs: ap } = assignToFiles(
+        normalizedName,
+        shellResults,
+        shipResult.class,
+        shipName,
+        caliber,
+        shipResult.pitch
+      );
+
+      heConfigs.push(...he);
+      apConfigs.push(...ap);
+
+      // Secondary battery weapons (no ship pitch overrides, those are for the main battery)
+      for (const secondary of shipResult.secondaries ?? []) {
+        if (options.shells && !options.shells.includes(secondary.shellType)) continue;
+
+        secondaryConfigs.push(generateWeaponConfig(
+          secondary.weaponName,
+          secondary.shellType,
+          secondary.bands,
+          SECONDARIES.pitchClass,
+          undefined,
+          secondary.caliber
+        ));
+      }
+    }
+
+    // Submarine sonar configs (appended to HE.cfg)
+    const sonarConfigs = [];
+    for (const [shipName, sonar] of Object.entries(summary.submarines || {})) {
+      const normalizedName = normalizeShipName(shipName);
+      sonarConfigs.push(generateSonarConfig(normalizedName, sonar.bulletSpeed, sonar.range));
+    }
+
+    // Combine HE configs with sonar configs
+    const allHeConfigs = [...heConfigs, ...sonarConfigs];
+
+    // Torpedo configs, one per ship and torpedo
+    const torpedoConfigs = [];
+    for (const ship of Object.values(summary.torpedoes || {})) {
+      for (const torpedo of ship.torpedoes) {
+        torpedoConfigs.push(generateTorpedoConfig(torpedo.weaponName, torpedo.bulletSpeed, torpedo.range));
+      }
+    }
+
+    // Write (or merge) config files
+    const files = [
+      { name: 'HE.cfg', configs: allHeConfigs, detail: `${heConfigs.length} shell weapons + ${sonarConfigs.length} sonar weapons` },
+      { name: 'AP.cfg', configs: apConfigs, detail: `${apConfigs.length} weapons` }
+    ];
+    if (secondaryConfigs.length > 0) {
+      files.push({ name: SECONDARIES.file, configs: secondaryConfigs, detail: `${secondaryConfigs.length} secondary weapons` });
+    }
+    if (torpedoConfigs.length > 0) {
+      files.push({ name: TORPEDOES.file, configs: torpedoConfigs, detail: `${torpedoConfigs.length} torpedo weapons` });
+    }
+    const previousManifest = options.merge ? await readManifest(outDir) : {};
+    const manifest = {};
+
+    for (const { name, configs, detail } of files) {
+      const filePath = path.join(outDir, name);
+      manifest[name] = configs.map(config => config.match(/^<Weapon (.*)>/)[1]);
+
+      if (options.merge) {
+        const { text, changes, owned } = await mergeConfigFile(filePath, configs, {
+          owned: previousManifest[name],
+          pinned: options.pinned
+        });
+        await fs.writeFile(filePath, text, 'utf-8');
+        manifest[name] = owned;
+        logMergeChanges(filePath, changes);
+      } else {
+        await writeOutput(outDir, name, configs.join('\n\n'), detail);
+      }
+    }
+
+    await writeManifest(outDir, manifest);
+  }
+});
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV writer: range table per ship and shell, with the BulletSpeed the config uses at each range
+ */
+registerWriter({
+  name: 'csv',
+  description: `${OUTPUT.csvFile}: ballistics every ${OUTPUT.csvStepKm} km per ship and shell`,
+  async write(summary, options) {
+    const header = ['ship', 'class', 'nation', 'shell', 'range_km', 'flight_time_s', 'impact_angle_deg', 'impact_velocity_ms', 'factor', 'config_bullet_speed'];
+    const lines = [header.join(',')];
+
+    for (const [shipName, ship] of Object.entries(summary.ships)) {
+      for (const [shellType, shell] of Object.entries(ship.shells)) {
+        if (options.shells && !options.shells.includes(shellType)) continue;
+
+        // Every step up to max range, plus max range itself
+        const ranges = [];
+        for (let i = 1; i * OUTPUT.csvStepKm < shell.maxRange; i++) ranges.push(i * OUTPUT.csvStepKm);
+        ranges.push(shell.maxRange);
+
+        for (const range of ranges) {
+          const b = getBallisticsAtRange(range, shell.shellProps);
+          const factor = calculateFactor(range, b.flightTime, b.impactAngle);
+          const band = shell.bands.find(x => range <= x.maxRange) ?? shell.bands[shell.bands.length - 1];
+          lines.push([
+            shipName,
+            ship.class,
+            ship.nation,
+            shellType,
+            Number(range.toFixed(3)),
+            b.flightTime.toFixed(3),
+            b.impactAngle.toFixed(3),
+            b.impactVelocity.toFixed(1),
+            factor !== null ? factor.toFixed(3) : '',
+            band.factor.toFixed(2)
+          ].map(csvField).join(','));
+        }
+      }
+    }
+
+    await writeOutput(options.outDir, OUTPUT.csvFile, lines.join('\n') + '\n', `${lines.length - 1} rows`);
+  }
+});
+
+/**
+ * JSON writer: flat weapon list for other tools
+ */
+registerWriter({
+  name: 'json',
+  description: `${OUTPUT.jsonFile}: flat weapon list with FireMode ranges, BulletSpeed and pitch`,
+  async write(summary, options) {
+    const weapons = collectWeapons(summary, options.shells).map(weapon => ({
+      ...weapon,
+      fireModes: weapon.fireModes.map(mode => ({ ...mode, bulletSpeed: Number(mode.bulletSpeed.toFixed(2)) }))
+    }));
+
+    await writeOutput(options.outDir, OUTPUT.jsonFile, JSON.stringify({ weapons }, null, 2), `${weapons.length} weapons`);
+  }
+});
+
+/**
+ * INI writer: one section per weapon and shell, for overlays that read key = value files
+ */
+registerWriter({
+  name: 'ini',
+  description: `${OUTPUT.iniFile}: [Weapon:shell] sections with one line per FireMode`,
+  async write(summary, options) {
+    const weapons = collectWeapons(summary, options.shells);
+    const lines = [
+      '; Ballistics overlay config',
+      '; mode.N = MinRange MaxRange BulletSpeed PitchToAdd (ranges in game units of 30.3 m, -1 = open)'
+    ];
+
+    for (const weapon of weapons) {
+      lines.push('', `[${weapon.weapon}:${weapon.shellType}]`, `ship = ${weapon.ship}`, `class = ${weapon.class}`);
+      weapon.fireModes.forEach((mode, i) => {
+        lines.push(`mode.${i + 1} = ${mode.minRange} ${mode.maxRange} ${mode.bulletSpeed.toFixed(2)} ${mode.pitch}`);
+      });
+    }
+
+    await writeOutput(options.outDir, OUTPUT.iniFile, lines.join('\n') + '\n', `${weapons.length} weapons`);
+  }
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConfig, serializeConfig } from '../src/cfgparser.js';
+import { generateWeaponConfig, generateSonarConfig, calculateConvertedRange } from '../src/utils.js';
+
+const BANDS = [{ minRange: 0, maxRange: 8, factor: 52.34 }, { minRange: 8, maxRange: 16.4, factor: 48.1 }];
+
+test('parseConfig round-trips generated configs byte for byte', () => {
+  const text = [
+    generateWeaponConfig('Yamato', 'he', BANDS, 'BB', 'Yamato', 460),
+    generateWeaponConfig('Shimakaze', 'ap', BANDS.slice(0, 1), 'DD', 'Shimakaze', 127),
+    generateSonarConfig('U_4501', 12, 10)
+  ].join('\n\n');
+
+  const { weapons, errors } = parseConfig(text);
+  assert.deepEqual(errors, []);
+  assert.equal(serializeConfig(weapons), text);
+});
+
+test('parseConfig reads weapon names, FireMode values and line spans', () => {
+  const text = generateWeaponConfig('Yamato', 'he', BANDS, 'BB', 'Yamato', 460);
+  const [weapon] = parseConfig(`\n${text}`).weapons;
+
+  assert.equal(weapon.name, 'Yamato');
+  assert.equal(weapon.line, 2);
+  assert.equal(weapon.endLine, text.split('\n').length + 1);
+  assert.deepEqual(weapon.fireModes.map(fm => [fm.minRange, fm.bulletSpeed]), [[-1, 52.34], [calculateConvertedRange(8), 48.1]]);
+  assert.equal(typeof weapon.fireModes[0].pitchToAdd, 'number');
+});
+
+test('parseConfig keeps comments inside weapons and skips them between weapons', () => {
+  const text = [
+    '// Hand-tuned, do not regenerate',
+    '<!-- Yamato:',
+    '     pitch checked in training room -->',
+    '<Weapon Yamato>',
+    '\t<!-- upper band -->',
+    '\t<FireMode>',
+    '\t\t// tuned',
+    '\t\t<MinRange -1></MinRange>',
+    '\t\t<MaxRange 120></MaxRange>',
+    '\t\t<BulletSpeed 50.5></BulletSpeed>',
+    '\t</FireMode>',
+    '</Weapon>'
+  ].join('\n');
+
+  const { weapons, errors } = parseConfig(text);
+  assert.deepEqual(errors, []);
+  assert.equal(weapons[0].fireModes[0].bulletSpeed, 50.5);
+  assert.equal(serializeConfig(weapons), text.split('\n').slice(3).join('\n'));
+});
+
+test('parseConfig reports malformed blocks with line numbers and keeps the rest', () => {
+  const good = generateSonarConfig('U_4501', 12, 10);
+  const text = [
+    '<Weapon Broken>',
+    '\t<FireMode>',
+    '\t\t<BulletSpeed 50></Bullet>',
+    '\t</FireMode>',
+    '</Weapon>',
+    good,
+    '<Weapon NoSpeed>',
+    '\t<FireMode>',
+    '\t\t<MinRange -1></MinRange>',
+    '\t</FireMode>',
+    '</Weapon>',
+    '<!-- never closed'
+  ].join('\n');
+  const noSpeedLine = 6 + good.split('\n').length;
+
+  const { weapons, errors } = parseConfig(text);
+  assert.deepEqual(weapons.map(w => w.name), ['U_4501']);
+  assert.deepEqual(errors.map(e => e.line), [3, noSpeedLine + 1, noSpeedLine + 1, noSpeedLine + 5]);
+  assert.match(errors[0].message, /Mismatched tags <BulletSpeed> and <\/Bullet>/);
+  assert.match(errors[1].message, /NoSpeed has missing or invalid MaxRange/);
+  assert.match(errors[3].message, /Unclosed <!-- comment/);
+});
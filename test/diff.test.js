@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { diffSummaries, diffConfigs, loadRun, diffRuns, formatDiffMarkdown } from '../src/diff.js';
+import { parseConfig } from '../src/cfgparser.js';
+import { generateSonarConfig } from '../src/utils.js';
+import { SECONDARIES, TORPEDOES } from '../src/config.js';
+
+const shell = (halfFactor, maxFactor, halfFlightTime, maxFlightTime) => ({ halfFactor, maxFactor, halfFlightTime, maxFlightTime });
+
+const BEFORE = {
+  ships: {
+    Yamato: { modifiedRange: 26.5, shells: { ap: shell(55, 57, 9, 21), he: shell(54, 56, 9.5, 22) } },
+    Kitakaze: { modifiedRange: 12, shells: { he: shell(48, 44, 5, 12) } }
+  }
+};
+const AFTER = {
+  ships: {
+    Yamato: { modifiedRange: 26.5, shells: { ap: shell(55.005, 57.2, 9, 21.3), sap: shell(50, 52, 9, 20) } },
+    Shimakaze: { modifiedRange: 12.3, shells: { he: shell(48, 44, 5, 12) } }
+  }
+};
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('diffSummaries lists ships and shells added or removed and changes above threshold', () => {
+  assert.deepEqual(diffSummaries(BEFORE, AFTER), {
+    shipsAdded: ['Shimakaze'],
+    shipsRemoved: ['Kitakaze'],
+    shells: [{ ship: 'Yamato', gained: ['sap'], lost: ['he'] }],
+    changes: [
+      { ship: 'Yamato', shellType: 'ap', field: 'maxFactor', before: 57, after: 57.2, delta: 57.2 - 57 },
+      { ship: 'Yamato', shellType: 'ap', field: 'maxFlightTime', before: 21, after: 21.3, delta: 21.3 - 21 }
+    ]
+  });
+});
+
+test('diffConfigs compares FireModes of weapons matched by name', () => {
+  const before = parseConfig([generateSonarConfig('Sub_A', 10, 10), generateSonarConfig('Sub_B', 12, 10)].join('\n\n')).weapons;
+  const after = parseConfig([generateSonarConfig('Sub_A', 10.5, 10), generateSonarConfig('Sub_C', 12, 10)].join('\n\n')).weapons;
+
+  assert.deepEqual(diffConfigs(before, after), {
+    weaponsAdded: ['Sub_C'],
+    weaponsRemoved: ['Sub_B'],
+    changes: [{ weapon: 'Sub_A', fireMode: 1, field: 'bulletSpeed', before: 10, after: 10.5, delta: 0.5 }]
+  });
+});
+
+test('loadRun and diffRuns compare summaries and config files of two output directories', async () => {
+  const runDir = async (summary, files) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'diff-test-'));
+    tempDirs.push(dir);
+    await fs.writeFile(path.join(dir, '_summary.json'), JSON.stringify(summary));
+    for (const [file, configs] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, file), configs.join('\n\n'));
+    }
+    return dir;
+  };
+  const before = await loadRun(await runDir(BEFORE, {
+    'HE.cfg': [generateSonarConfig('Sub_A', 10, 10)],
+    [SECONDARIES.file]: [generateSonarConfig('Sec_A', 8, 5)],
+    [TORPEDOES.file]: [generateSonarConfig('Torp_A', 5, 8)]
+  }));
+  const after = await loadRun(await runDir(AFTER, {
+    'HE.cfg': [generateSonarConfig('Sub_A', 11, 10)],
+    [SECONDARIES.file]: [generateSonarConfig('Sec_A', 8, 5)],
+    [TORPEDOES.file]: [generateSonarConfig('Torp_A', 5.5, 8)]
+  }));
+
+  const diff = diffRuns(before, after);
+  assert.deepEqual(Object.keys(diff.configs), ['HE.cfg', SECONDARIES.file, TORPEDOES.file]);
+  assert.equal(diff.configs['HE.cfg'].changes[0].delta, 1);
+  assert.deepEqual(diff.configs[SECONDARIES.file].changes, []);
+  assert.equal(diff.configs[TORPEDOES.file].changes[0].delta, 0.5);
+  assert.equal(diff.summary.changes.length, 2);
+
+  const markdown = formatDiffMarkdown(diff, { before: 'old', after: 'new' });
+  assert.match(markdown, /^# Ballistics changes: old → new/);
+  assert.match(markdown, /- Yamato: \+SAP, -HE/);
+  assert.match(markdown, /\| Sub_A \| 1 \| bulletSpeed \| 10 \| 11 \| \+1 \|/);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readGameParams, crossCheck } from '../src/gameparams.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('error');
+
+const projectile = (ammoType, bulletSpeed, bulletMass, bulletAirDrag, bulletDiametr) =>
+  ({ typeinfo: { type: 'Projectile', species: 'Artillery' }, ammoType, bulletSpeed, bulletMass, bulletAirDrag, bulletDiametr });
+
+// Trimmed GameParams dump as unpickled from the game files: one object keyed by entity name
+const GAME_PARAMS = [{
+  PASB018_Montana_1945: {
+    index: 'PASB018',
+    level: 10,
+    group: 'upgradeable',
+    typeinfo: { type: 'Ship', species: 'Battleship', nation: 'USA' },
+    A_Artillery: { maxDist: 20000, HP_AGM_1: { ammoList: ['PAPA001_AP'] } },
+    B_Artillery: { maxDist: 21500, HP_AGM_1: { ammoList: ['PAPA001_AP', 'PAPA002_HE'] } },
+    A_FireControl: { maxDistCoef: 1 },
+    B_FireControl: { maxDistCoef: 1.1 },
+    ShipAbilities: { AbilitySlot0: { abils: [['PCY009_SpotterPlanePremium', '']] } }
+  },
+  PGSS110_U_4501: {
+    index: 'PGSS110',
+    level: 10,
+    typeinfo: { type: 'Ship', species: 'Submarine', nation: 'Germany' },
+    A_Pinger: { waveDistance: 10000, waveParams: [{ waveSpeed: [150, 150] }] }
+  },
+  PJSD999_Test: {
+    index: 'PJSD999',
+    group: 'disabled',
+    typeinfo: { type: 'Ship', species: 'Destroyer', nation: 'Japan' },
+    A_Artillery: { maxDist: 12000, HP_JGM_1: { ammoList: ['PAPA002_HE'] } }
+  },
+  PAPA001_AP: { ...projectile('AP', 762, 1225, 0.35, 0.406), bulletKrupp: 2574, bulletRicochetAt: 45 },
+  PAPA002_HE: projectile('HE', 823, 862, 0.41, 0.406)
+}];
+
+test('readGameParams builds ship data like the scraper, with the top module selected', () => {
+  const { shipData } = readGameParams(GAME_PARAMS, { IDS_PASB018: 'Montana' });
+
+  assert.deepEqual(Object.keys(shipData), ['Montana']);
+  const { modules, ...montana } = shipData.Montana;
+  assert.deepEqual(montana, {
+    class: 'BB',
+    nation: 'U.S.A.',
+    tier: 10,
+    baseMaxRange: 23.65,
+    hasSpotter: true,
+    module: 'B_Artillery',
+    shells: {
+      ap: { muzzleVelocity: 762, mass: 1225, dragCoefficient: 0.35, caliber: 406, krupp: 2574, ricochetStart: 45 },
+      he: { muzzleVelocity: 823, mass: 862, dragCoefficient: 0.41, caliber: 406 }
+    }
+  });
+  assert.deepEqual(modules.map(m => [m.id, m.baseMaxRange]), [['A_Artillery', 22], ['B_Artillery', 23.65]]);
+});
+
+test('readGameParams reads sonar and names ships without a names entry from the entity name', () => {
+  const { sonarData } = readGameParams(GAME_PARAMS);
+
+  assert.deepEqual(sonarData, {
+    'U 4501': { class: 'SS', nation: 'Germany', range: 10, waveSpeed: 150, bulletSpeed: 12 }
+  });
+});
+
+test('crossCheck reports differences beyond tolerance and unmatched ships', () => {
+  const data = readGameParams(GAME_PARAMS, { IDS_PASB018: 'Montana', IDS_PGSS110: 'U-4501' });
+  const montana = structuredClone(data.shipData.Montana);
+  montana.baseMaxRange = 23.6;              // Within the range tolerance
+  montana.shells.he.muzzleVelocity = 800;   // Beyond the shell tolerance
+  delete montana.shells.ap;
+
+  const result = crossCheck(data, {
+    ships: { MONTANA: montana, Yamato: montana },
+    sonar: { 'U-4501': data.sonarData['U-4501'] }
+  });
+
+  assert.equal(result.matched, 2);
+  assert.deepEqual(result.ships, [{
+    ship: 'Montana',
+    differences: [
+      { field: 'shells.ap', value: 'present', reference: 'missing' },
+      { field: 'shells.he.muzzleVelocity', value: 823, reference: 800 }
+    ]
+  }]);
+  assert.deepEqual(result.onlyInSource, []);
+  assert.deepEqual(result.onlyInReference, ['Yamato']);
+});
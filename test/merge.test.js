@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { mergeConfigFile } from '../src/merge.js';
+import { generateSonarConfig } from '../src/utils.js';
+
+// Hand-maintained file: space indentation, comments, one hand-made weapon among generated ones
+const HAND_MADE = [
+  '<Weapon Custom_Rail>',
+  '  <FireMode>',
+  '    <!-- tuned in training room -->',
+  '    <MinRange -1></MinRange>',
+  '    <MaxRange 200></MaxRange>',
+  '    <BulletSpeed 77.7></BulletSpeed>',
+  '  </FireMode>',
+  '</Weapon>'
+].join('\n');
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+/**
+ * Write a config file into a fresh temporary directory
+ * @param {string} text - File contents
+ * @returns {Promise<string>} File path
+ */
+async function tempConfig(text) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'merge-test-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, 'HE.cfg');
+  await fs.writeFile(filePath, text, 'utf-8');
+  return filePath;
+}
+
+test('mergeConfigFile updates generated weapons and leaves the rest byte for byte', async () => {
+  const existing = [
+    '// Team config, merged by the generator',
+    generateSonarConfig('Sub_A', 10, 10),
+    '',
+    HAND_MADE,
+    '',
+    generateSonarConfig('Sub_Gone', 11, 10),
+    '',
+    generateSonarConfig('Sub_B', 12, 10),
+    ''
+  ].join('\n');
+  const filePath = await tempConfig(existing);
+
+  const generated = [generateSonarConfig('Sub_A', 10.5, 10), generateSonarConfig('Sub_B', 12, 10), generateSonarConfig('Sub_New', 13, 10)];
+  const { text, changes, owned } = await mergeConfigFile(filePath, generated, { owned: ['Sub_A', 'Sub_Gone', 'Sub_B'] });
+
+  assert.equal(text, [
+    '// Team config, merged by the generator',
+    generated[0],
+    '',
+    HAND_MADE,
+    '',
+    generateSonarConfig('Sub_B', 12, 10),
+    '',
+    generated[2],
+    ''
+  ].join('\n'));
+  assert.deepEqual(changes, {
+    added: ['Sub_New'], updated: ['Sub_A'], unchanged: ['Sub_B'], removed: ['Sub_Gone'], pinned: [], kept: ['Custom_Rail'], untracked: []
+  });
+  assert.deepEqual(owned, ['Sub_A', 'Sub_B', 'Sub_New']);
+});
+
+test('mergeConfigFile keeps pinned weapons as they are', async () => {
+  const existing = `${generateSonarConfig('Sub_A', 10, 10)}\n\n${HAND_MADE}`;
+  const filePath = await tempConfig(existing);
+
+  const generated = [generateSonarConfig('Sub_A', 20, 10)];
+  const { text, changes } = await mergeConfigFile(filePath, generated, { owned: ['Sub_A'], pinned: ['Sub_A'] });
+
+  assert.equal(text, existing);
+  assert.deepEqual(changes.pinned, ['Sub_A']);
+});
+
+test('mergeConfigFile without a manifest keeps same-named weapons as hand-made', async () => {
+  const tuned = HAND_MADE.replace('Custom_Rail', 'Sub_A');
+  const filePath = await tempConfig(tuned);
+
+  const generated = [generateSonarConfig('Sub_A', 10, 10), generateSonarConfig('Sub_B', 12, 10)];
+  const { text, changes, owned } = await mergeConfigFile(filePath, generated);
+
+  assert.equal(text, `${tuned}\n\n${generated[1]}`);
+  assert.deepEqual(changes.untracked, ['Sub_A']);
+  assert.deepEqual(changes.added, ['Sub_B']);
+  assert.deepEqual(owned, ['Sub_B']);
+});
+
+test('mergeConfigFile refuses files with malformed blocks', async () => {
+  const filePath = await tempConfig(`${HAND_MADE}\n<Weapon Broken>\n  <FireMode>\n</Weapon>`);
+  await assert.rejects(mergeConfigFile(filePath, [generateSonarConfig('Sub_A', 10, 10)]), /fix these blocks first:\n {2}line 11/);
+});
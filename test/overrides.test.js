@@ -0,0 +1,94 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validateOverrides, loadOverrides, applyOverrides } from '../src/overrides.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('error');
+
+const HE = { muzzleVelocity: 805, mass: 1360, dragCoefficient: 0.35, caliber: 460 };
+const SHIP_DATA = {
+  Yamato: { class: 'BB', nation: 'Japan', baseMaxRange: 26.5, hasSpotter: true, shells: { he: HE } },
+  'Småland': { class: 'DD', nation: 'Europe', baseMaxRange: 10.7, hasSpotter: false, shells: { he: { ...HE, caliber: 120 } } }
+};
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('validateOverrides reports every schema error with its path', () => {
+  assert.deepEqual(validateOverrides({
+    ships: {
+      Yamato: { class: 'XX', hasSpotter: 'yes', weaponName: 'Yamato B', speed: 30 },
+      Montana: { pitch: { ap: 'low', torpedo: 1 }, shells: { he: { mass: -1, colour: 'red' } } }
+    },
+    extra: true
+  }), [
+    'extra: unknown key (expected "ships")',
+    'ships.Yamato.class: expected one of BB, CA, CB, CL, DD, SS, CV',
+    'ships.Yamato.hasSpotter: expected true or false',
+    'ships.Yamato.weaponName: expected letters, digits and underscores only',
+    'ships.Yamato.speed: unknown field',
+    'ships.Montana.pitch.ap: expected a number',
+    'ships.Montana.pitch.torpedo: unknown shell type (expected ap, he, sap)',
+    'ships.Montana.shells.he.mass: expected a positive number',
+    'ships.Montana.shells.he.colour: unknown field'
+  ]);
+  assert.deepEqual(validateOverrides({ ships: { Yamato: { hasSpotter: false } } }), []);
+});
+
+test('applyOverrides patches, adds and excludes ships without touching the input', () => {
+  const before = structuredClone(SHIP_DATA);
+  const { shipData, applied } = applyOverrides(SHIP_DATA, {
+    ships: {
+      YAMATO: { hasSpotter: false, weaponName: 'Yamato_Tuned', pitch: { he: 0.03 }, shells: { he: { dragCoefficient: 0.3 } } },
+      Smaland: { exclude: true },
+      Montana: { class: 'BB', baseMaxRange: 23.6, shells: { ap: { muzzleVelocity: 762, mass: 1225, dragCoefficient: 0.35, caliber: 406 } } },
+      Incomplete: { class: 'BB' }
+    }
+  });
+
+  assert.deepEqual(SHIP_DATA, before);
+  assert.deepEqual(Object.keys(shipData), ['Yamato', 'Montana']);
+  assert.deepEqual(shipData.Yamato, {
+    class: 'BB',
+    nation: 'Japan',
+    baseMaxRange: 26.5,
+    hasSpotter: false,
+    weaponName: 'Yamato_Tuned',
+    pitch: { he: 0.03 },
+    shells: { he: { ...HE, dragCoefficient: 0.3 } }
+  });
+  assert.deepEqual(applied, [
+    'Yamato: hasSpotter true -> false',
+    'Yamato: weaponName unset -> "Yamato_Tuned"',
+    'Yamato: he pitch -> 0.03',
+    'Yamato: he.dragCoefficient 0.35 -> 0.3',
+    'Småland: excluded',
+    'Montana: added',
+    'Montana: ap.muzzleVelocity unset -> 762',
+    'Montana: ap.mass unset -> 1225',
+    'Montana: ap.dragCoefficient unset -> 0.35',
+    'Montana: ap.caliber unset -> 406'
+  ]);
+});
+
+test('loadOverrides reads JSON and YAML and rejects invalid files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'overrides-test-'));
+  tempDirs.push(dir);
+  const write = async (name, text) => {
+    await fs.writeFile(path.join(dir, name), text);
+    return path.join(dir, name);
+  };
+
+  const json = await loadOverrides(await write('overrides.json', '{"ships": {"Yamato": {"baseMaxRange": 27}}}'));
+  const yaml = await loadOverrides(await write('overrides.yaml', 'ships:\n  Yamato:\n    baseMaxRange: 27\n'));
+  assert.deepEqual(json, { ships: { Yamato: { baseMaxRange: 27 } } });
+  assert.deepEqual(yaml, json);
+
+  await assert.rejects(
+    loadOverrides(await write('bad.yml', 'ships:\n  Yamato:\n    baseMaxRange: far\n')),
+    /Invalid overrides file .*bad\.yml:\n {2}- ships\.Yamato\.baseMaxRange: expected a positive number/
+  );
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateTrajectory, getBallisticsAtRange } from '../src/physics.js';
+import { ENGINE } from '../src/config.js';
+
+// Representative shells: 460 mm BB AP and 127 mm DD HE
+const SHELLS = {
+  'BB AP': { muzzleVelocity: 780, caliber: 460, mass: 1460, dragCoefficient: 0.292 },
+  'DD HE': { muzzleVelocity: 915, caliber: 127, mass: 23, dragCoefficient: 0.35 }
+};
+const ANGLES = [0.5, 2, 8, 15, 30];
+
+// A 1e-4 s RK4 step overshoots the surface by at most one step, so the reference
+// is exact to about 1e-4 s and (at up to ~900 m/s) 0.1 m
+const REFERENCE = { integrator: 'rk4', dt: 1e-4 };
+
+for (const [name, shell] of Object.entries(SHELLS)) {
+  test(`dopri5 matches a tiny-step RK4 reference (${name})`, () => {
+    for (const angle of ANGLES) {
+      const result = simulateTrajectory(angle, shell, { integrator: 'dopri5' });
+      const reference = simulateTrajectory(angle, shell, REFERENCE);
+      const at = `${angle}°`;
+
+      assert.ok(Math.abs(result.range - reference.range) < 0.2, `range at ${at}: ${result.range} vs ${reference.range}`);
+      assert.ok(Math.abs(result.flightTime - reference.flightTime) < 2e-4, `flight time at ${at}: ${result.flightTime} vs ${reference.flightTime}`);
+      assert.ok(Math.abs(result.impactAngle - reference.impactAngle) < 1e-3, `impact angle at ${at}: ${result.impactAngle} vs ${reference.impactAngle}`);
+      assert.ok(Math.abs(result.impactVelocity - reference.impactVelocity) < 0.01, `impact velocity at ${at}: ${result.impactVelocity} vs ${reference.impactVelocity}`);
+    }
+  });
+}
+
+test('dopri5 flight time is not rounded to a time step', () => {
+  const shell = SHELLS['DD HE'];
+  const fixed = simulateTrajectory(2, shell, { integrator: 'rk4' });
+  const reference = simulateTrajectory(2, shell, REFERENCE);
+  const result = simulateTrajectory(2, shell, { integrator: 'dopri5' });
+
+  assert.ok(Math.abs(result.flightTime - reference.flightTime) < Math.abs(fixed.flightTime - reference.flightTime) / 10);
+});
+
+test('unknown integrator is rejected', () => {
+  assert.throws(() => simulateTrajectory(10, SHELLS['BB AP'], { integrator: 'euler' }), /Unknown integrator/);
+});
+
+// The DD HE shell's range peaks just short of 45°, at about 17.8 km
+
+/**
+ * Ballistics at a range with the given engine mode
+ * @param {string} mode - 'table' or 'bisect'
+ * @param {number} rangeKm - Range in km
+ * @returns {Object} Ballistics from getBallisticsAtRange
+ */
+function ballisticsWith(mode, rangeKm) {
+  const previous = ENGINE.mode;
+  ENGINE.mode = mode;
+  try {
+    return getBallisticsAtRange(rangeKm, SHELLS['DD HE']);
+  } finally {
+    ENGINE.mode = previous;
+  }
+}
+
+test('table mode stays within tolerance of bisect inside the shell\'s reach', () => {
+  for (const rangeKm of [1, 5, 10, 15, 17.5]) {
+    const table = ballisticsWith('table', rangeKm);
+    const bisect = ballisticsWith('bisect', rangeKm);
+
+    assert.ok(Math.abs(table.flightTime - bisect.flightTime) < 0.01, `flight time at ${rangeKm} km: ${table.flightTime} vs ${bisect.flightTime}`);
+    assert.ok(Math.abs(table.impactAngle - bisect.impactAngle) < 0.05, `impact angle at ${rangeKm} km: ${table.impactAngle} vs ${bisect.impactAngle}`);
+  }
+});
+
+test('table and bisect agree beyond the shell\'s reach (the 45° shot)', () => {
+  const top = simulateTrajectory(45, SHELLS['DD HE']);
+
+  for (const rangeKm of [18, 25]) {
+    const table = ballisticsWith('table', rangeKm);
+    const bisect = ballisticsWith('bisect', rangeKm);
+
+    assert.equal(table.launchAngle, 45);
+    assert.equal(table.flightTime, top.adjustedFlightTime);
+    assert.ok(Math.abs(table.flightTime - bisect.flightTime) < 0.01, `flight time at ${rangeKm} km: ${table.flightTime} vs ${bisect.flightTime}`);
+    assert.ok(Math.abs(table.impactAngle - bisect.impactAngle) < 0.05, `impact angle at ${rangeKm} km: ${table.impactAngle} vs ${bisect.impactAngle}`);
+  }
+});
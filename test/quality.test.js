@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBallisticsAtRange, simulateTrajectory } from '../src/physics.js';
+import { sweepBallistics, buildQualityReport } from '../src/quality.js';
+
+// 127 mm DD HE: reaches about 17.8 km at 45°
+const SHELL = { muzzleVelocity: 915, caliber: 127, mass: 23, dragCoefficient: 0.35 };
+const BANDS = [{ minRange: 0, maxRange: 8, factor: 50 }, { minRange: 8, maxRange: 16, factor: 45 }];
+
+test('sweepBallistics matches the bisection inside reach and stops beyond it', () => {
+  const ranges = [2, 6, 10, 14, 17, 18, 20];
+  const samples = sweepBallistics(SHELL, ranges);
+
+  assert.deepEqual([...samples.keys()], [2, 6, 10, 14, 17]);
+  for (const [range, sample] of samples) {
+    const reference = getBallisticsAtRange(range, SHELL);
+    assert.ok(Math.abs(sample.flightTime - reference.flightTime) < 0.01, `flight time at ${range} km: ${sample.flightTime} vs ${reference.flightTime}`);
+    assert.ok(Math.abs(sample.impactAngle - reference.impactAngle) < 0.05, `impact angle at ${range} km: ${sample.impactAngle} vs ${reference.impactAngle}`);
+  }
+  assert.ok(simulateTrajectory(45, SHELL).range < 18000);
+});
+
+test('buildQualityReport names weapons as in the configs and reports every FireMode, worst weapon first', () => {
+  const summary = {
+    ships: {
+      Shimakaze: { class: 'DD', weaponName: 'Shimakaze_Tuned', shells: { he: { shellProps: SHELL, bands: BANDS } } },
+      Yamato: { class: 'BB', shells: { he: { shellProps: SHELL, bands: [{ minRange: 0, maxRange: 16, factor: 50 }] } } }
+    }
+  };
+
+  const report = buildQualityReport(summary);
+  assert.deepEqual(report.weapons.map(w => w.weapon), ['Yamato', 'Shimakaze_Tuned']);
+  assert.ok(report.weapons[0].worstMeters >= report.weapons[1].worstMeters);
+
+  for (const weapon of report.weapons) {
+    for (const fm of weapon.fireModes) {
+      assert.ok(fm.samples > 0 && fm.unreachable === 0);
+      assert.ok(fm.worstMeters >= fm.meanMeters && fm.meanMeters > 0);
+      assert.ok(fm.worstAngle >= fm.meanAngle && fm.meanAngle > 0);
+    }
+  }
+});
+
+test('buildQualityReport includes secondary weapons and filters them by shell type', () => {
+  const summary = {
+    ships: {
+      Shimakaze: {
+        class: 'DD',
+        shells: { ap: { shellProps: SHELL, bands: BANDS } },
+        secondaries: [{ weaponName: 'Shimakaze_Sec', shellType: 'he', shellProps: SHELL, bands: [{ minRange: 0, maxRange: 5, factor: 55 }] }]
+      }
+    }
+  };
+
+  const names = buildQualityReport(summary).weapons.map(w => `${w.weapon} ${w.battery} ${w.shellType}`).sort();
+  assert.deepEqual(names, ['Shimakaze main ap', 'Shimakaze_Sec secondary he']);
+  assert.deepEqual(buildQualityReport(summary, { shells: ['ap'] }).weapons.map(w => w.battery), ['main']);
+});
@@ -0,0 +1,392 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import { setLogLevel } from '../src/logger.js';
+
+const FIXTURES = new URL('./fixtures/shiptool/', import.meta.url);
+
+// shiptool.st params pages ("p" query parameter) -> fixture file
+const PAGES = { '': 'params', con: 'consumables', ap: 'ap', he: 'he', sap: 'sap', sec: 'secondaries', tor: 'torpedoes', son: 'sonar' };
+// Other shiptool.st pages (path) -> fixture file
+const PATHS = { '/ballistics': 'ballistics' };
+
+// Fixture file -> expected columns (TABLE_SCHEMAS key) of the page
+const FIXTURE_SCHEMAS = {
+  params: 'params',
+  consumables: 'consumables',
+  ap: 'shells',
+  he: 'shells',
+  sap: 'shells',
+  secondaries: 'secondaries',
+  torpedoes: 'torpedoes',
+  sonar: 'sonar',
+  ballistics: 'ballistics'
+};
+
+// Delay before the fixture pages redraw their table after a click (ms), like the site's data requests
+let renderDelay = 300;
+
+// Stand-in for the site's scripts, added to every fixture page: "all" links add the rest of a
+// group and checkboxes add their columns, both after renderDelay
+const siteScript = () => `
+  const original = document.querySelector('table').cloneNode(true);
+  const expanded = new Set();
+  const checked = new Set();
+
+  function render() {
+    const table = original.cloneNode(true);
+    for (const group of table.querySelectorAll('template[data-group]')) {
+      if (expanded.has(group.dataset.group)) group.replaceWith(group.content.cloneNode(true));
+    }
+    for (const cell of table.querySelectorAll('[data-checkbox]')) {
+      if (!checked.has(cell.dataset.checkbox)) cell.remove();
+    }
+    document.querySelector('table').replaceWith(table);
+  }
+  const later = update => () => {
+    update();
+    setTimeout(render, ${renderDelay});
+  };
+
+  document.querySelectorAll('span.link[data-group]').forEach(link =>
+    link.addEventListener('click', later(() => expanded.add(link.dataset.group))));
+  document.querySelectorAll('label.checkbox input').forEach(input =>
+    input.addEventListener('change', later(() => {
+      const name = input.parentElement.textContent.trim().toLowerCase();
+      if (input.checked) checked.add(name);
+      else checked.delete(name);
+    })));
+  render();
+`;
+
+/**
+ * Serve the fixture pages at the shiptool.st paths
+ * @returns {Promise<http.Server>} Listening server (random port)
+ */
+function startFixtureServer() {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const page = url.pathname === '/params' ? PAGES[url.searchParams.get('p') ?? ''] : PATHS[url.pathname];
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<!DOCTYPE html><p>Not found</p>');
+      return;
+    }
+
+    const html = await fs.readFile(new URL(`${page}.html`, FIXTURES), 'utf-8');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html.replace('</body>', `<script>${siteScript()}</script>\n</body>`));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// URLS.base is read from SHIPTOOL_URL when the config is loaded, so start the server first
+const server = await startFixtureServer();
+process.env.SHIPTOOL_URL = `http://127.0.0.1:${server.address().port}`;
+const { URLS, SCRAPER } = await import('../src/config.js');
+const {
+  parseNumeric, mergeShipTables, checkColumns, TABLE_SCHEMAS, launchBrowser, openSession, scrapeTable,
+  expandAllGroups, enableCheckbox, scrapeShipData, scrapeSonarData, scrapeTorpedoData, scrapeBallisticsReference
+} = await import('../src/scraper.js');
+const { createScrapeReport } = await import('../src/scrapereport.js');
+
+setLogLevel('error');
+// Fixture pages either have their table or never will; fail fast instead of retrying
+Object.assign(SCRAPER, { tableTimeout: 2000, retries: 0 });
+
+// Browser tests need puppeteer and a Chromium it can launch: its downloaded browser, or one
+// set with PUPPETEER_EXECUTABLE_PATH. Without one they are skipped, or fail with REQUIRE_BROWSER
+// set; the tests that don't need a browser run either way.
+let browser;
+let noBrowser = false;
+try {
+  browser = await launchBrowser();
+} catch (err) {
+  noBrowser = `no browser: ${err.message.split('\n')[0]}`;
+}
+
+after(async () => {
+  await browser?.close();
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Define a test that drives the browser
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body
+ */
+function browserTest(name, fn) {
+  test(name, { skip: process.env.REQUIRE_BROWSER ? false : noBrowser }, async () => {
+    if (noBrowser) assert.fail(`${noBrowser} (set PUPPETEER_EXECUTABLE_PATH to a Chromium build)`);
+    await fn();
+  });
+}
+
+/**
+ * Read the header names of a fixture page's table
+ * @param {string} fixture - Fixture file name without extension
+ * @returns {Promise<string[]>} Lowercase headers, as scrapeTable reads them
+ */
+async function fixtureHeaders(fixture) {
+  const html = await fs.readFile(new URL(`${fixture}.html`, FIXTURES), 'utf-8');
+  return [...html.matchAll(/<th[^>]*>(.*?)<\/th>/g)].map(match => match[1].trim().toLowerCase());
+}
+
+/**
+ * Open a fixture page in a new tab
+ * @param {string} url - shiptool.st path, e.g. URLS.params
+ * @returns {Promise<Page>} Puppeteer page
+ */
+async function openPage(url) {
+  const page = await browser.newPage();
+  await page.goto(URLS.base + url, { waitUntil: 'networkidle2' });
+  return page;
+}
+
+/**
+ * Read the first column of the page's table
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string[]>} Ship names
+ */
+function shipNames(page) {
+  return page.$$eval('table tbody tr', rows => rows.map(row => row.cells[0].textContent.trim()));
+}
+
+test('parseNumeric reads numbers with thousands separators and units', () => {
+  assert.equal(parseNumeric('1,321'), 1321);
+  assert.equal(parseNumeric('1,460 kg'), 1460);
+  assert.equal(parseNumeric('26.5 km'), 26.5);
+  assert.equal(parseNumeric('780 m/s'), 780);
+  assert.equal(parseNumeric('0.292'), 0.292);
+  assert.equal(parseNumeric('460 mm AP/APC Type 91'), 460);
+});
+
+test('parseNumeric reads blanks and dashes as 0', () => {
+  assert.equal(parseNumeric(''), 0);
+  assert.equal(parseNumeric(undefined), 0);
+  assert.equal(parseNumeric('   '), 0);
+  assert.equal(parseNumeric('—'), 0);
+});
+
+test('mergeShipTables matches tables by normalized ship name', () => {
+  const shell = { description: '120 mm HE', weight: '23.5 kg', 'initial speed': '850 m/s', 'drag coeff.': '0.3' };
+  const shipData = mergeShipTables({
+    params: [{ ship: 'Småland', tier: 'X', class: 'dd', range: '10.7 km' }],
+    consumables: [{ ship: 'Smaland', spotter: '1' }],
+    ap: [],
+    he: [{ ship: 'SMÅLAND ', nation: 'Europe', ...shell }],
+    sap: []
+  }, createScrapeReport());
+
+  assert.deepEqual(shipData, {
+    'Småland': {
+      class: 'DD',
+      nation: 'Europe',
+      tier: 10,
+      baseMaxRange: 10.7,
+      hasSpotter: true,
+      module: 'default',
+      shells: { he: { muzzleVelocity: 850, mass: 23.5, dragCoefficient: 0.3, caliber: 120 } }
+    }
+  });
+});
+
+test('mergeShipTables reports dropped rows and unmatched names', () => {
+  const report = createScrapeReport();
+  mergeShipTables({
+    params: [{ ship: 'Yamato', class: 'BB', range: '26.5 km' }, { ship: 'Hakuryu', class: 'CV', range: '—' }],
+    consumables: [{ ship: 'Yamato', spotter: '1' }],
+    ap: [{ ship: 'Yamato', description: '460 mm', weight: '1,460 kg', 'initial speed': 'n/a', 'drag coeff.': '0.292' }],
+    he: [{ ship: 'Yamato', description: '460 mm', weight: '0 kg', 'initial speed': '805 m/s', 'drag coeff.': '0.35' }],
+    sap: [{ ship: 'Yamato B', description: '460 mm', weight: '1,000 kg', 'initial speed': '800 m/s', 'drag coeff.': '0.3' }]
+  }, report);
+
+  assert.deepEqual(report.dropped, [
+    { table: 'params', ship: 'Hakuryu', reason: 'unparseable "range" ("—")' },
+    { table: 'ap', ship: 'Yamato', reason: 'unparseable "initial speed" ("n/a")' },
+    { table: 'he', ship: 'Yamato', reason: 'zero mass' },
+    { table: 'sap', ship: 'Yamato B', reason: 'no match in params' }
+  ]);
+  assert.deepEqual(report.unmatched, [{ table: 'sap', name: 'Yamato B' }]);
+});
+
+test('every fixture page has the columns its scraper expects', async () => {
+  for (const [fixture, schema] of Object.entries(FIXTURE_SCHEMAS)) {
+    const headers = await fixtureHeaders(fixture);
+    assert.doesNotThrow(() => checkColumns(headers, TABLE_SCHEMAS[schema], fixture), `${fixture}.html`);
+  }
+
+  const headers = (await fixtureHeaders('ballistics')).filter(header => header !== 'impact angle');
+  assert.throws(
+    () => checkColumns(headers, TABLE_SCHEMAS.ballistics, URLS.ballistics),
+    err => err.retryable === false && /missing column "impact angle"/.test(err.message)
+  );
+});
+
+browserTest('expandAllGroups loads every group', async () => {
+  const page = await openPage(URLS.params);
+  try {
+    assert.deepEqual(await shipNames(page), ['Yamato', 'Shimakaze']);
+    await expandAllGroups(page);
+    assert.deepEqual(await shipNames(page), ['Yamato', 'Montana', 'Shimakaze', 'Des Moines', 'Hakuryu']);
+  } finally {
+    await page.close();
+  }
+});
+
+browserTest('enableCheckbox adds the checkbox columns once', async () => {
+  const page = await openPage(URLS.params);
+  const headers = () => page.$$eval('table th', cells => cells.map(cell => cell.textContent.trim()));
+  try {
+    assert.deepEqual(await headers(), ['Ship', 'Tier', 'Class', 'Nation']);
+    assert.equal(await enableCheckbox(page, 'Main battery'), true);
+    await page.waitForSelector('table th:nth-child(5)');
+    assert.deepEqual(await headers(), ['Ship', 'Tier', 'Class', 'Nation', 'Range']);
+
+    // Already checked: clicking again would remove the columns
+    assert.equal(await enableCheckbox(page, 'main battery'), false);
+    assert.equal(await enableCheckbox(page, 'no such checkbox'), false);
+  } finally {
+    await page.close();
+  }
+});
+
+browserTest('scrapeTable reads every row keyed by lowercase header', async () => {
+  const page = await browser.newPage();
+  try {
+    const rows = await scrapeTable(page, URLS.params, { checkboxes: ['main battery'] });
+    assert.equal(rows.length, 5);
+    assert.deepEqual(rows[1], { ship: 'Montana', tier: 'X', class: 'BB', nation: 'U.S.A.', range: '23.6 km' });
+  } finally {
+    await page.close();
+  }
+});
+
+browserTest('scrapeTable waits for a slow table to change before waiting for it to settle', async () => {
+  const page = await browser.newPage();
+  renderDelay = SCRAPER.settleQuietMs + 500;
+  try {
+    const rows = await scrapeTable(page, URLS.params);
+    assert.deepEqual(rows.map(row => row.ship), ['Yamato', 'Montana', 'Shimakaze', 'Des Moines', 'Hakuryu']);
+
+    const withRange = await scrapeTable(page, URLS.params, { checkboxes: ['main battery'] });
+    assert.deepEqual(withRange[4], { ship: 'Hakuryu', tier: 'X', class: 'CV', nation: 'Japan', range: '5 km' });
+  } finally {
+    renderDelay = 300;
+    await page.close();
+  }
+});
+
+browserTest('scrapeTable fails on missing columns and pages without a table', async () => {
+  const page = await browser.newPage();
+  try {
+    await assert.rejects(
+      scrapeTable(page, URLS.shells.ap, { schema: [['ship'], ['penetration', 'ap penetration']] }),
+      err => err.retryable === false && /missing column "penetration" \/ "ap penetration"/.test(err.message)
+    );
+    await assert.rejects(scrapeTable(page, '/params?p=none'), /No table found/);
+  } finally {
+    await page.close();
+  }
+});
+
+browserTest('scrapeShipData merges the params, consumables, shell and secondary pages', async () => {
+  const session = await openSession({ concurrency: 2 });
+  let shipData;
+  try {
+    shipData = await scrapeShipData(session);
+  } finally {
+    await session.close();
+  }
+
+  assert.deepEqual(Object.keys(shipData), ['Yamato', 'Montana', 'Des Moines', 'Shimakaze']);
+  assert.deepEqual(shipData.Yamato, {
+    class: 'BB',
+    nation: 'Japan',
+    tier: 10,
+    baseMaxRange: 26.5,
+    hasSpotter: true,
+    module: 'default',
+    shells: {
+      ap: { muzzleVelocity: 780, mass: 1460, dragCoefficient: 0.292, caliber: 460 },
+      he: { muzzleVelocity: 805, mass: 1360, dragCoefficient: 0.35, caliber: 460 }
+    },
+    secondaries: [
+      { shellType: 'ap', baseMaxRange: 7.6, shellProps: { muzzleVelocity: 920, mass: 55.87, dragCoefficient: 0.33, caliber: 155 } },
+      { shellType: 'he', baseMaxRange: 7.6, shellProps: { muzzleVelocity: 725, mass: 23, dragCoefficient: 0.38, caliber: 127 } }
+    ]
+  });
+  assert.deepEqual(Object.keys(shipData['Des Moines'].shells), ['ap']);
+  assert.deepEqual(Object.keys(shipData.Shimakaze.shells), ['he']);
+  assert.equal(shipData.Shimakaze.hasSpotter, false);
+
+  assert.equal(session.report.tables[URLS.params].rows, 5);
+  assert.deepEqual(session.report.dropped, [
+    { table: 'ap', ship: 'Kitakaze', reason: 'no match in params' },
+    { table: 'he', ship: 'Des Moines', reason: 'unparseable "drag coeff." ("—")' },
+    { table: 'he', ship: 'Hakuryu', reason: 'skipped class CV' },
+    { table: 'sap', ship: 'Shimakaze', reason: 'zero muzzle velocity' }
+  ]);
+  assert.deepEqual(session.report.unmatched, [
+    { table: 'consumables', name: 'Cristoforo Colombo' },
+    { table: 'ap', name: 'Kitakaze' }
+  ]);
+});
+
+browserTest('scrapeSonarData reads submarines with a wave speed', async () => {
+  const session = await openSession({ concurrency: 1 });
+  let sonarData;
+  try {
+    sonarData = await scrapeSonarData(session);
+  } finally {
+    await session.close();
+  }
+
+  assert.deepEqual(sonarData, {
+    'U-4501': { class: 'SS', nation: 'Germany', range: 10, waveSpeed: 150, bulletSpeed: 12 }
+  });
+  assert.deepEqual(session.report.dropped, [{ table: 'sonar', ship: 'U-2501', reason: 'unparseable "wave speed" ("—")' }]);
+});
+
+browserTest('scrapeTorpedoData reads one entry per ship and torpedo', async () => {
+  const session = await openSession({ concurrency: 1 });
+  let torpedoData;
+  try {
+    torpedoData = await scrapeTorpedoData(session);
+  } finally {
+    await session.close();
+  }
+
+  assert.deepEqual(torpedoData, {
+    Shimakaze: {
+      class: 'DD',
+      nation: 'Japan',
+      torpedoes: [
+        { name: 'Type 93 mod. 3', speedKts: 67, range: 12, deepWater: false },
+        { name: 'Type 93 mod. 2', speedKts: 57, range: 20, deepWater: false }
+      ]
+    },
+    'U-4501': { class: 'SS', nation: 'Germany', torpedoes: [{ name: 'G7e T3', speedKts: 66, range: 8, deepWater: true }] }
+  });
+  assert.deepEqual(session.report.dropped, [
+    { table: 'torpedoes', ship: 'Hakuryu', reason: 'skipped class CV' },
+    { table: 'torpedoes', ship: 'Småland', reason: 'zero torpedo speed' }
+  ]);
+});
+
+browserTest('scrapeBallisticsReference reads reference points per ship and shell', async () => {
+  const reference = await scrapeBallisticsReference();
+
+  assert.deepEqual(reference, {
+    source: URLS.base + URLS.ballistics,
+    ships: {
+      Yamato: {
+        ap: [{ range: 10, flightTime: 8.94, impactAngle: 6.82 }, { range: 20, flightTime: 23.16, impactAngle: 21.95 }],
+        he: [{ range: 10, flightTime: 10.01, impactAngle: 7.74 }]
+      },
+      Shimakaze: { he: [{ range: 8, flightTime: 10.24, impactAngle: 13.2 }] }
+    }
+  });
+});
@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { handleRequest, createServer } from '../src/server.js';
+import { getBallisticsAtRange } from '../src/physics.js';
+
+const HE = { muzzleVelocity: 805, mass: 1360, dragCoefficient: 0.35, caliber: 460 };
+const DD_HE = { muzzleVelocity: 915, mass: 23, dragCoefficient: 0.35, caliber: 127 };
+const BANDS = [{ minRange: 0, maxRange: 10, factor: 52.3 }, { minRange: 10, maxRange: 20, factor: 48.1 }];
+
+const DATASET = {
+  shipData: {
+    Yamato: { class: 'BB', nation: 'Japan', baseMaxRange: 26.5, hasSpotter: false, shells: { he: HE } },
+    Shimakaze: { class: 'DD', nation: 'Japan', baseMaxRange: 12.3, hasSpotter: false, shells: { he: DD_HE } }
+  },
+  summary: {
+    ships: {
+      Yamato: { class: 'BB', nation: 'Japan', tier: 10, modifiedRange: 26.5, shells: { he: { bands: BANDS, shellProps: HE } } },
+      Shimakaze: { class: 'DD', nation: 'Japan', tier: 10, modifiedRange: 12.3, shells: { he: { bands: BANDS.slice(0, 1), shellProps: DD_HE } } }
+    }
+  }
+};
+
+const servers = [];
+after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+/**
+ * Route a GET request through handleRequest
+ * @param {string} target - Request path and query
+ * @param {string} method - HTTP method
+ * @returns {Object} {body, type}
+ */
+function request(target, method = 'GET') {
+  return handleRequest(DATASET, method, new URL(target, 'http://localhost'));
+}
+
+/**
+ * Send a raw HTTP request line, bypassing client-side URL checks
+ * @param {number} port - Server port on 127.0.0.1
+ * @param {string} target - Request target as sent on the wire
+ * @returns {Promise<number>} Response status
+ */
+function rawRequest(port, target) {
+  return new Promise((resolve, reject) => {
+    let response = '';
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(Number(response.split(' ')[1])));
+    socket.on('error', reject);
+  });
+}
+
+test('handleRequest routes ships, ballistics and configs with filters', () => {
+  assert.deepEqual(request('/ships?class=dd,cv').body.ships.map(s => s.name), ['Shimakaze']);
+  assert.equal(request('/ships?nation=japan&tier=10').body.count, 2);
+  assert.equal(request('/ships/YAMATO').body.name, 'Yamato');
+
+  const ballistics = request('/ships/Yamato/ballistics?shell=HE&range=10').body;
+  assert.equal(ballistics.rangeKm, 10);
+  assert.deepEqual(Object.keys(ballistics.shells), ['he']);
+  assert.equal(ballistics.shells.he.flightTime, getBallisticsAtRange(10, HE).flightTime);
+
+  const configs = request('/configs/he?class=BB');
+  assert.equal(configs.type, 'text/plain; charset=utf-8');
+  assert.match(configs.body, /^<Weapon Yamato>/);
+  assert.doesNotMatch(configs.body, /Shimakaze/);
+});
+
+test('handleRequest rejects bad requests with their HTTP status', () => {
+  const statusOf = (target, method) => {
+    try {
+      request(target, method);
+    } catch (err) {
+      return err.status;
+    }
+    return 200;
+  };
+
+  assert.equal(statusOf('/ships', 'POST'), 405);
+  assert.equal(statusOf('/ships/Montana'), 404);
+  assert.equal(statusOf('/ballistics'), 404);
+  assert.equal(statusOf('/configs/torpedo'), 400);
+  assert.equal(statusOf('/ships/Yamato/ballistics?range=-1'), 400);
+  assert.equal(statusOf('/ships/%E0%A4%A'), 400);
+});
+
+test('createServer answers malformed request paths with 400', async () => {
+  const server = createServer(DATASET);
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  assert.equal(await rawRequest(port, '/ships/Yamato'), 200);
+  assert.equal(await rawRequest(port, '/ships/%zz'), 400);
+  assert.equal(await rawRequest(port, '//['), 400);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { loadReference, validateAgainstReference } from '../src/validate.js';
+import { getBallisticsAtRange } from '../src/physics.js';
+
+const HE = { muzzleVelocity: 915, caliber: 127, mass: 23, dragCoefficient: 0.35 };
+
+test('loadReference names the option that creates a missing reference file', async () => {
+  await assert.rejects(
+    loadReference(path.join(os.tmpdir(), 'no-such-reference.json')),
+    /Reference file not found: .* \(run validate --scrape-reference first\)/
+  );
+});
+
+test('validateAgainstReference flags points over the error limit and lists unmatched entries', () => {
+  const point = (range, scale = 1) => {
+    const { flightTime, impactAngle } = getBallisticsAtRange(range, HE);
+    return { range, flightTime: flightTime * scale, impactAngle };
+  };
+  const reference = {
+    ships: {
+      shimakaze: { he: [point(5), point(10, 1.05)], ap: [point(5)] },
+      Kitakaze: { he: [point(5)] }
+    }
+  };
+
+  const result = validateAgainstReference({ Shimakaze: { shells: { he: HE } } }, reference);
+  assert.equal(result.flaggedCount, 1);
+  assert.deepEqual(result.missing, ['shimakaze (ap)', 'Kitakaze']);
+  assert.deepEqual(result.ships[0].points.map(p => [p.range, p.flagged]), [[5, false], [10, true]]);
+});